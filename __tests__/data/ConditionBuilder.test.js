@@ -0,0 +1,270 @@
+const ConditionBuilder = require('../../src/data/ConditionBuilder');
+const SQLUtility = require('../../src/utils/SQLUtility');
+const InvalidIdentifierError = require('../../src/errors/InvalidIdentifierError');
+
+describe('ConditionBuilder', () => {
+    const sqlUtility = new SQLUtility();
+
+    const build = (conditions, startIndex) => new ConditionBuilder({
+        resolveColumn: key => sqlUtility.quoteIdentifier(key),
+        normalizeOperator: operator => sqlUtility.normalizeOperator(operator),
+        startIndex
+    }).build(conditions);
+
+    describe('equality', () => {
+        test('should AND together equality conditions', () => {
+            const result = build({ name: 'John', age: 30 });
+
+            expect(result.whereClause).toBe(' AND "name" = $1 AND "age" = $2');
+            expect(result.params).toEqual(['John', 30]);
+        });
+
+        test('should skip null and undefined values', () => {
+            const result = build({ name: 'John', age: null, email: undefined });
+
+            expect(result.whereClause).toBe(' AND "name" = $1');
+            expect(result.params).toEqual(['John']);
+        });
+
+        test('should record the column each parameter is bound to', () => {
+            const result = build({ name: 'John', $or: [{ age: { $between: [1, 2] } }, { role: { $in: ['a'] } }] });
+
+            expect(result.paramColumns).toEqual(['name', 'age', 'age', 'role']);
+        });
+
+        test('should number placeholders from startIndex', () => {
+            const result = build({ id: 7 }, 3);
+
+            expect(result.whereClause).toBe(' AND "id" = $3');
+        });
+
+        test('should inline values as literals when given toLiteral', () => {
+            const result = new ConditionBuilder({
+                resolveColumn: key => sqlUtility.quoteIdentifier(key),
+                normalizeOperator: operator => sqlUtility.normalizeOperator(operator),
+                toLiteral: value => sqlUtility.quoteLiteral(value)
+            }).build({ name: "O'Hara", id: { $in: [1, 2] } });
+
+            expect(result.whereClause).toBe(' AND "name" = \'O\'\'Hara\' AND "id" IN (\'1\', \'2\')');
+            expect(result.params).toEqual([]);
+            expect(result.paramColumns).toEqual([]);
+        });
+
+        test('should treat dates as plain values', () => {
+            const date = new Date('2024-01-01T00:00:00Z');
+            const result = build({ created_at: date });
+
+            expect(result.whereClause).toBe(' AND "created_at" = $1');
+            expect(result.params).toEqual([date]);
+        });
+
+        test('should keep supporting { operator, value } conditions', () => {
+            const result = build({ age: { operator: '>=', value: 18 } });
+
+            expect(result.whereClause).toBe(' AND "age" >= $1');
+            expect(result.params).toEqual([18]);
+        });
+    });
+
+    describe('operators', () => {
+        test('should compile comparison operators', () => {
+            const result = build({ age: { $gte: 18, $lt: 65 }, name: { $ne: 'root' } });
+
+            expect(result.whereClause).toBe(' AND "age" >= $1 AND "age" < $2 AND "name" <> $3');
+            expect(result.params).toEqual([18, 65, 'root']);
+        });
+
+        test('should compile $in and $notIn lists', () => {
+            const result = build({ status: { $in: ['active', 'pending'] }, role: { $notIn: ['admin'] } });
+
+            expect(result.whereClause).toBe(' AND "status" IN ($1, $2) AND "role" NOT IN ($3)');
+            expect(result.params).toEqual(['active', 'pending', 'admin']);
+        });
+
+        test('should compile an empty $in to FALSE and skip an empty $notIn', () => {
+            expect(build({ status: { $in: [] } }).whereClause).toBe(' AND FALSE');
+            expect(build({ status: { $notIn: [] } })).toEqual({ whereClause: '', params: [], paramColumns: [], hasPredicates: false });
+        });
+
+        test('should compile $between', () => {
+            const result = build({ price: { $between: [10, 20] }, age: { $notBetween: [1, 2] } });
+
+            expect(result.whereClause).toBe(' AND "price" BETWEEN $1 AND $2 AND "age" NOT BETWEEN $3 AND $4');
+            expect(result.params).toEqual([10, 20, 1, 2]);
+        });
+
+        test('should compile null checks', () => {
+            const result = build({
+                deleted_at: { $isNull: true },
+                email: { $notNull: true },
+                phone: { $isNull: false },
+                nickname: { $eq: null }
+            });
+
+            expect(result.whereClause).toBe(
+                ' AND "deleted_at" IS NULL AND "email" IS NOT NULL AND "phone" IS NOT NULL AND "nickname" IS NULL'
+            );
+            expect(result.params).toEqual([]);
+        });
+
+        test('should compile pattern matching', () => {
+            const result = build({ name: { $like: 'J%' }, email: { $ilike: '%@EXAMPLE.COM' } });
+
+            expect(result.whereClause).toBe(' AND "name" LIKE $1 AND "email" ILIKE $2');
+        });
+
+        test('should compile column-level $not', () => {
+            const result = build({ status: { $not: { $in: ['a', 'b'] } }, name: { $not: 'x' } });
+
+            expect(result.whereClause).toBe(' AND NOT ("status" IN ($1, $2)) AND NOT ("name" = $3)');
+        });
+
+        test('should ignore operators with undefined operands', () => {
+            const result = build({ age: { $gt: undefined, $lt: 10 } });
+
+            expect(result.whereClause).toBe(' AND "age" < $1');
+        });
+
+        test('should reject unknown operators', () => {
+            expect(() => build({ age: { $near: 1 } })).toThrow(InvalidIdentifierError);
+            expect(() => build({ $where: 'true' })).toThrow('Unknown condition operator: $where');
+        });
+
+        test('should reject malformed operands', () => {
+            expect(() => build({ id: { $in: 1 } })).toThrow('$in expects an array');
+            expect(() => build({ id: { $between: [1] } })).toThrow('$between expects an array of two values');
+        });
+    });
+
+    describe('groups', () => {
+        test('should compile $or groups', () => {
+            const result = build({
+                active: true,
+                $or: [{ role: 'admin' }, { role: 'owner', verified: true }]
+            });
+
+            expect(result.whereClause).toBe(' AND "active" = $1 AND ("role" = $2 OR ("role" = $3 AND "verified" = $4))');
+            expect(result.params).toEqual([true, 'admin', 'owner', true]);
+        });
+
+        test('should compile nested $and inside $or', () => {
+            const result = build({
+                $or: [
+                    { $and: [{ age: { $gte: 18 } }, { age: { $lt: 30 } }] },
+                    { vip: true }
+                ]
+            });
+
+            expect(result.whereClause).toBe(' AND (("age" >= $1 AND "age" < $2) OR "vip" = $3)');
+        });
+
+        test('should compile top-level $not', () => {
+            const result = build({ $not: { status: 'banned', country: 'XX' } });
+
+            expect(result.whereClause).toBe(' AND NOT ("status" = $1 AND "country" = $2)');
+        });
+
+        test('should treat an empty $or as matching nothing', () => {
+            expect(build({ $or: [] }).whereClause).toBe(' AND FALSE');
+            expect(build({ $and: [] }).whereClause).toBe('');
+        });
+
+        test('should drop groups left empty by skipped conditions', () => {
+            expect(build({ $or: [{ id: undefined }] })).toEqual({ whereClause: '', params: [], paramColumns: [], hasPredicates: false });
+            expect(build({ $and: [{}] }).hasPredicates).toBe(false);
+            expect(build({ $or: [{ role: 'admin' }, { id: null }] }).whereClause).toBe(' AND "role" = $1');
+            expect(build({ id: 1 }).hasPredicates).toBe(true);
+        });
+
+        test('should never negate into a constant TRUE', () => {
+            expect(build({ $not: { id: { $in: [] } } }).hasPredicates).toBe(false);
+            expect(build({ id: { $not: { $in: [] } } }).hasPredicates).toBe(false);
+            expect(build({ $not: { $or: [{ id: { $in: [] } }] } }).hasPredicates).toBe(false);
+            expect(build({ $not: { name: 'x', id: { $in: [] } } }).hasPredicates).toBe(false);
+        });
+
+        test('should fold FALSE through groups', () => {
+            expect(build({ $or: [{ id: { $in: [] } }, { role: 'admin' }] }).whereClause).toBe(' AND "role" = $1');
+            expect(build({ $or: [{ id: { $in: [] } }] }).whereClause).toBe(' AND FALSE');
+            expect(build({ name: 'x', $and: [{ id: { $in: [] } }, { role: 'admin' }] }))
+                .toEqual({ whereClause: ' AND FALSE', params: [], paramColumns: [], hasPredicates: true });
+        });
+
+        test('should let conditions that always hold absorb an $or and negate to FALSE', () => {
+            expect(build({ $or: [{ status: { $notIn: [] } }, { id: 5 }] }))
+                .toEqual({ whereClause: '', params: [], paramColumns: [], hasPredicates: false });
+            expect(build({ name: 'x', $or: [{ id: 5 }, { status: { $notIn: [] } }], age: 3 }))
+                .toEqual({ whereClause: ' AND "name" = $1 AND "age" = $2', params: ['x', 3], paramColumns: ['name', 'age'], hasPredicates: true });
+            expect(build({ $not: { status: { $notIn: [] } } }).whereClause).toBe(' AND FALSE');
+            expect(build({ id: { $gt: 1, $not: { $notIn: [] } } })).toEqual({ whereClause: ' AND FALSE', params: [], paramColumns: [], hasPredicates: true });
+        });
+
+        test('should reject non-array groups', () => {
+            expect(() => build({ $or: { a: 1 } })).toThrow('$or expects an array of condition objects');
+        });
+    });
+
+    describe('json columns', () => {
+        const types = { data: 'jsonb', meta: 'json', name: 'text' };
+        const buildJson = conditions => new ConditionBuilder({
+            resolveColumn: key => sqlUtility.quoteIdentifier(key),
+            normalizeOperator: operator => sqlUtility.normalizeOperator(operator),
+            getColumnInfo: key => (types[key] ? { udtName: types[key], isArray: false } : undefined)
+        }).build(conditions);
+
+        test('should compare json values as jsonb', () => {
+            const result = buildJson({ data: { a: 1 }, meta: ['x'] });
+
+            expect(result.whereClause).toBe(' AND "data" = $1::jsonb AND ("meta")::jsonb = $2::jsonb');
+            expect(result.params).toEqual(['{"a":1}', '["x"]']);
+        });
+
+        test('should compile containment operators', () => {
+            const result = buildJson({ data: { $contains: { tags: ['sql'] } }, meta: { $containedBy: '{"a":1,"b":2}' } });
+
+            expect(result.whereClause).toBe(' AND "data" @> $1::jsonb AND ("meta")::jsonb <@ $2::jsonb');
+            expect(result.params).toEqual(['{"tags":["sql"]}', '{"a":1,"b":2}']);
+        });
+
+        test('should compile key existence operators', () => {
+            const result = buildJson({ data: { $hasKey: 'a', $hasAnyKeys: ['b', 'c'], $hasAllKeys: ['d'] } });
+
+            expect(result.whereClause).toBe(' AND "data" ? $1 AND "data" ?| $2::text[] AND "data" ?& $3::text[]');
+            expect(result.params).toEqual(['a', ['b', 'c'], ['d']]);
+        });
+
+        test('should reject json operators on other columns', () => {
+            expect(() => buildJson({ name: { $contains: { a: 1 } } })).toThrow('$contains requires a json, jsonb or array column');
+            expect(() => buildJson({ data: { $hasAnyKeys: 'a' } })).toThrow('$hasAnyKeys expects an array');
+        });
+    });
+
+    describe('array columns', () => {
+        const buildArray = conditions => new ConditionBuilder({
+            resolveColumn: key => sqlUtility.quoteIdentifier(key),
+            normalizeOperator: operator => sqlUtility.normalizeOperator(operator),
+            getColumnInfo: key => (key === 'tags' ? { udtName: '_text', isArray: true, sqlType: '"pg_catalog"."_text"' } : undefined)
+        }).build(conditions);
+
+        test('should compare whole arrays with a typed parameter', () => {
+            const result = buildArray({ tags: ['a', 'b'] });
+
+            expect(result.whereClause).toBe(' AND "tags" = $1::"pg_catalog"."_text"');
+            expect(result.params).toEqual([['a', 'b']]);
+        });
+
+        test('should compile $any, containment and overlap', () => {
+            const result = buildArray({ tags: { $any: 'a', $contains: ['b'], $containedBy: ['a', 'b', 'c'], $overlap: ['d'] } });
+
+            expect(result.whereClause).toBe(' AND $1 = ANY("tags") AND "tags" @> $2::"pg_catalog"."_text"'
+                + ' AND "tags" <@ $3::"pg_catalog"."_text" AND "tags" && $4::"pg_catalog"."_text"');
+            expect(result.params).toEqual(['a', ['b'], ['a', 'b', 'c'], ['d']]);
+        });
+
+        test('should reject array operators on other columns', () => {
+            expect(() => buildArray({ name: { $any: 'a' } })).toThrow('$any requires an array column');
+            expect(() => buildArray({ name: { $overlap: ['a'] } })).toThrow('$overlap requires an array column');
+            expect(() => buildArray({ tags: { $contains: 'a' } })).toThrow('$contains expects an array');
+        });
+    });
+});
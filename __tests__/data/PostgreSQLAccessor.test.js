@@ -1,10 +1,22 @@
 const PostgreSQLAccessor = require('../../src/data/PostgreSQLAccessor');
 const PGClientFactory = require('../../src/utils/PGClientFactory');
 const ObjectUtility = require('../../src/utils/ObjectUtility');
+const InvalidIdentifierError = require('../../src/errors/InvalidIdentifierError');
+const ValidationError = require('../../src/errors/ValidationError');
+const NotFoundError = require('../../src/errors/NotFoundError');
+const UnsafeOperationError = require('../../src/errors/UnsafeOperationError');
+const StaleRecordError = require('../../src/errors/StaleRecordError');
+const OperationAbortedError = require('../../src/errors/OperationAbortedError');
+
+const { Readable, Writable } = require('stream');
 
 // Mock dependencies
 jest.mock('../../src/utils/PGClientFactory');
 jest.mock('../../src/utils/ObjectUtility');
+jest.mock('pg-copy-streams', () => ({
+    from: jest.fn(text => ({ copyFrom: text })),
+    to: jest.fn(text => ({ copyTo: text }))
+}));
 
 describe('PostgreSQLAccessor', () => {
     let baseAccessor;
@@ -26,7 +38,7 @@ describe('PostgreSQLAccessor', () => {
         };
         
         // Mock PGClientFactory
-        PGClientFactory.getPGClient.mockResolvedValue(mockClient);
+        PGClientFactory.getPool.mockResolvedValue(mockClient);
         
         // Mock ObjectUtility constructor
         ObjectUtility.mockImplementation(() => mockObjectUtility);
@@ -50,14 +62,34 @@ describe('PostgreSQLAccessor', () => {
     });
 
     describe('initialize', () => {
-        test('should get client from PGClientFactory', async () => {
+        test('should get pool from PGClientFactory', async () => {
             await baseAccessor.initialize();
             
-            expect(PGClientFactory.getPGClient).toHaveBeenCalled();
+            expect(PGClientFactory.getPool).toHaveBeenCalled();
             expect(baseAccessor.client).toBe(mockClient);
         });
     });
 
+    describe('executeQuery', () => {
+        test('should initialize lazily and run the query on the pool', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.executeQuery('SELECT 1', []);
+
+            expect(PGClientFactory.getPool).toHaveBeenCalledTimes(1);
+            expect(mockClient.query).toHaveBeenCalledWith('SELECT 1', []);
+        });
+    });
+
+    describe('getPoolStats', () => {
+        test('should return pool statistics from PGClientFactory', () => {
+            const stats = { total: 3, idle: 1, waiting: 0 };
+            PGClientFactory.getPoolStats.mockReturnValue(stats);
+
+            expect(baseAccessor.getPoolStats()).toEqual(stats);
+        });
+    });
+
     describe('addTable', () => {
         beforeEach(async () => {
             await baseAccessor.initialize();
@@ -68,12 +100,14 @@ describe('PostgreSQLAccessor', () => {
             jest.spyOn(baseAccessor, 'addTableColumns').mockResolvedValue();
             jest.spyOn(baseAccessor, 'addUniqueTableColumns').mockResolvedValue();
             jest.spyOn(baseAccessor, 'addPrimaryKeyColumns').mockResolvedValue();
+            jest.spyOn(baseAccessor, 'addForeignKeys').mockResolvedValue();
 
             await baseAccessor.addTable('users');
 
             expect(baseAccessor.addTableColumns).toHaveBeenCalledWith('users');
             expect(baseAccessor.addUniqueTableColumns).toHaveBeenCalledWith('users');
             expect(baseAccessor.addPrimaryKeyColumns).toHaveBeenCalledWith('users');
+            expect(baseAccessor.addForeignKeys).toHaveBeenCalledWith('users');
         });
 
         test('should initialize client if not already initialized', async () => {
@@ -83,6 +117,7 @@ describe('PostgreSQLAccessor', () => {
             jest.spyOn(baseAccessor, 'addTableColumns').mockResolvedValue();
             jest.spyOn(baseAccessor, 'addUniqueTableColumns').mockResolvedValue();
             jest.spyOn(baseAccessor, 'addPrimaryKeyColumns').mockResolvedValue();
+            jest.spyOn(baseAccessor, 'addForeignKeys').mockResolvedValue();
 
             await baseAccessor.addTable('users');
 
@@ -90,6 +125,58 @@ describe('PostgreSQLAccessor', () => {
         });
     });
 
+    describe('schema-qualified tables', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+        });
+
+        test('should resolve unqualified names against the default schema', () => {
+            expect(baseAccessor.resolveTableName('users')).toEqual({ schema: 'public', table: 'users', qualifiedName: 'public.users' });
+            expect(baseAccessor.resolveTableName('tenant.users')).toEqual({ schema: 'tenant', table: 'users', qualifiedName: 'tenant.users' });
+        });
+
+        test('should take the default schema from options', () => {
+            const accessor = new PostgreSQLAccessor({ schema: 'tenant' });
+
+            expect(accessor.qualifyTableName('users')).toBe('tenant.users');
+        });
+
+        test('should reject malformed table names', () => {
+            expect(() => baseAccessor.resolveTableName('a.b.c')).toThrow(InvalidIdentifierError);
+            expect(() => baseAccessor.resolveTableName('.users')).toThrow(InvalidIdentifierError);
+        });
+
+        test('should scope discovery to the schema and key maps by qualified name', async () => {
+            mockClient.query.mockImplementation(async (sql, params) => ({
+                rows: params[0] === 'tenant' ? [{ column_name: 'id' }, { column_name: 'tenant_only' }] : [{ column_name: 'id' }]
+            }));
+
+            await baseAccessor.addTableColumns('users');
+            await baseAccessor.addTableColumns('tenant.users');
+
+            expect(mockClient.query).toHaveBeenCalledWith(
+                expect.stringMatching(/c\.table_schema = \$1\s+AND c\.table_name = \$2/),
+                ['tenant', 'users']
+            );
+            expect(baseAccessor.columnsMap.get('public.users')).toEqual(['id']);
+            expect(baseAccessor.columnsMap.get('tenant.users')).toEqual(['id', 'tenant_only']);
+        });
+
+        test('should use schema-qualified names in CRUD statements', async () => {
+            baseAccessor.columnsMap.set('tenant.users', ['id', 'name']);
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Ann' });
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+            await baseAccessor.create('tenant.users', { name: 'Ann' });
+            await baseAccessor.read('tenant.users', { id: 1 });
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('INSERT INTO "tenant"."users" ("name")');
+            expect(mockClient.query.mock.calls[1][0]).toContain('FROM "tenant"."users"');
+            expect(() => baseAccessor.filterWithTableColumnName({ name: 'Ann' }, 'users'))
+                .toThrow('Table users columns not found. Call addTable() first.');
+        });
+    });
+
     describe('addTableColumns', () => {
         beforeEach(async () => {
             await baseAccessor.initialize();
@@ -107,10 +194,10 @@ describe('PostgreSQLAccessor', () => {
             await baseAccessor.addTableColumns('users');
 
             expect(mockClient.query).toHaveBeenCalledWith(
-                expect.stringContaining('SELECT column_name'),
-                ['users']
+                expect.stringContaining('FROM information_schema.columns c'),
+                ['public', 'users']
             );
-            expect(baseAccessor.columnsMap.get('users')).toEqual(['id', 'name', 'email']);
+            expect(baseAccessor.columnsMap.get('public.users')).toEqual(['id', 'name', 'email']);
         });
 
         test('should handle query errors', async () => {
@@ -137,9 +224,25 @@ describe('PostgreSQLAccessor', () => {
 
             expect(mockClient.query).toHaveBeenCalledWith(
                 expect.stringContaining('UNIQUE'),
-                ['users']
+                ['public', 'users']
             );
-            expect(baseAccessor.uniqueColumnsMap.get('users')).toEqual(['email']);
+            expect(baseAccessor.uniqueColumnsMap.get('public.users')).toEqual(['email']);
+        });
+
+        test('should keep unique constraints grouped per constraint', async () => {
+            mockClient.query.mockResolvedValue({ rows: [
+                { column_name: 'org_id', constraint_name: 'users_org_slug_key' },
+                { column_name: 'slug', constraint_name: 'users_org_slug_key' },
+                { column_name: 'email', constraint_name: 'users_email_key' }
+            ] });
+
+            await baseAccessor.addUniqueTableColumns('users');
+
+            expect(baseAccessor.uniqueConstraintsMap.get('public.users')).toEqual([
+                { name: 'users_org_slug_key', columns: ['org_id', 'slug'] },
+                { name: 'users_email_key', columns: ['email'] }
+            ]);
+            expect(baseAccessor.uniqueColumnsMap.get('public.users')).toEqual(['org_id', 'slug', 'email']);
         });
 
         test('should handle query errors', async () => {
@@ -166,9 +269,17 @@ describe('PostgreSQLAccessor', () => {
 
             expect(mockClient.query).toHaveBeenCalledWith(
                 expect.stringContaining('PRIMARY KEY'),
-                ['users']
+                ['public', 'users']
             );
-            expect(baseAccessor.primaryKeyColumnsMap.get('users')).toEqual(['id']);
+            expect(baseAccessor.primaryKeyColumnsMap.get('public.users')).toEqual(['id']);
+        });
+
+        test('should remember the primary key constraint name', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ column_name: 'id', constraint_name: 'users_pkey' }] });
+
+            await baseAccessor.addPrimaryKeyColumns('users');
+
+            expect(baseAccessor.primaryKeyNameMap.get('public.users')).toBe('users_pkey');
         });
 
         test('should handle query errors', async () => {
@@ -179,10 +290,110 @@ describe('PostgreSQLAccessor', () => {
         });
     });
 
+    describe('column metadata', () => {
+        const columnRow = (overrides) => ({
+            table_name: 'users',
+            table_type: 'BASE TABLE',
+            data_type: 'text',
+            udt_schema: 'pg_catalog',
+            udt_name: 'text',
+            is_nullable: 'YES',
+            column_default: null,
+            is_identity: 'NO',
+            is_generated: 'NEVER',
+            character_maximum_length: null,
+            numeric_precision: null,
+            numeric_scale: null,
+            enum_values: null,
+            column_comment: null,
+            ...overrides
+        });
+
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+        });
+
+        test('should store full metadata for every column', async () => {
+            mockClient.query.mockResolvedValue({ rows: [
+                columnRow({ column_name: 'id', data_type: 'integer', udt_name: 'int4', is_nullable: 'NO', is_identity: 'YES' }),
+                columnRow({ column_name: 'email', data_type: 'character varying', udt_name: 'varchar', is_nullable: 'NO', character_maximum_length: 255, column_comment: 'Login' }),
+                columnRow({ column_name: 'mood', data_type: 'USER-DEFINED', udt_schema: 'public', udt_name: 'mood', column_default: '\'ok\'::mood', enum_values: ['ok', 'sad'] }),
+                columnRow({ column_name: 'tags', data_type: 'ARRAY', udt_name: '_text' }),
+                columnRow({ column_name: 'search', is_generated: 'ALWAYS' })
+            ] });
+
+            await baseAccessor.addTableColumns('users');
+
+            expect(baseAccessor.columnsMap.get('public.users')).toEqual(['id', 'email', 'mood', 'tags', 'search']);
+            const [id, email, mood, tags, search] = baseAccessor.columnInfoMap.get('public.users');
+            expect(id).toEqual(expect.objectContaining({ name: 'id', dataType: 'integer', nullable: false, isIdentity: true }));
+            expect(email).toEqual(expect.objectContaining({ maxLength: 255, comment: 'Login' }));
+            expect(mood).toEqual(expect.objectContaining({ enumValues: ['ok', 'sad'], defaultValue: '\'ok\'::mood' }));
+            expect(tags).toEqual(expect.objectContaining({ isArray: true, udtName: '_text' }));
+            expect(search.isGenerated).toBe(true);
+            expect(baseAccessor.getColumnInfo('users', 'email')).toBe(email);
+        });
+
+        test('should describe a discovered table with getTableInfo', async () => {
+            mockClient.query.mockResolvedValue({ rows: [columnRow({ column_name: 'id', table_type: 'VIEW' })] });
+            await baseAccessor.addTableColumns('users');
+            baseAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
+            baseAccessor.uniqueConstraintsMap.set('public.users', []);
+
+            const info = baseAccessor.getTableInfo('users');
+
+            expect(info).toEqual({
+                schema: 'public',
+                name: 'users',
+                qualifiedName: 'public.users',
+                type: 'view',
+                columns: [expect.objectContaining({ name: 'id' })],
+                primaryKey: ['id'],
+                uniqueConstraints: [],
+                foreignKeys: []
+            });
+            expect(() => baseAccessor.getTableInfo('orders')).toThrow('Table orders columns not found. Call addTable() first.');
+        });
+
+        test('should discover a whole schema in three catalog queries', async () => {
+            mockClient.query.mockImplementation(async (sql) => (
+                sql.includes('pg_constraint') ? { rows: [{
+                    constraint_name: 'orders_user_id_fkey', table_schema: 'public', table_name: 'orders',
+                    foreign_table_schema: 'public', foreign_table_name: 'users', column_names: ['user_id'], foreign_column_names: ['id']
+                }] } : sql.includes('key_column_usage') ? { rows: [
+                    { table_name: 'users', column_name: 'id', constraint_name: 'users_pkey', constraint_type: 'PRIMARY KEY' },
+                    { table_name: 'users', column_name: 'email', constraint_name: 'users_email_key', constraint_type: 'UNIQUE' },
+                    { table_name: 'orders', column_name: 'id', constraint_name: 'orders_pkey', constraint_type: 'PRIMARY KEY' }
+                ] } : { rows: [
+                    columnRow({ table_name: 'orders', column_name: 'id' }),
+                    columnRow({ table_name: 'orders', column_name: 'total' }),
+                    columnRow({ table_name: 'users', column_name: 'id' }),
+                    columnRow({ table_name: 'users', column_name: 'email' }),
+                    columnRow({ table_name: 'user_emails', table_type: 'VIEW', column_name: 'email' })
+                ] }
+            ));
+
+            const tables = await baseAccessor.addAllTables();
+
+            expect(mockClient.query).toHaveBeenCalledTimes(3);
+            expect(mockClient.query.mock.calls.every(call => call[1].length === 1 && call[1][0] === 'public')).toBe(true);
+            expect(tables).toEqual(['public.orders', 'public.users', 'public.user_emails']);
+            expect(baseAccessor.columnsMap.get('public.orders')).toEqual(['id', 'total']);
+            expect(baseAccessor.primaryKeyColumnsMap.get('public.users')).toEqual(['id']);
+            expect(baseAccessor.primaryKeyNameMap.get('public.orders')).toBe('orders_pkey');
+            expect(baseAccessor.uniqueConstraintsMap.get('public.users')).toEqual([{ name: 'users_email_key', columns: ['email'] }]);
+            expect(baseAccessor.primaryKeyColumnsMap.get('public.user_emails')).toEqual([]);
+            expect(baseAccessor.getTableInfo('user_emails').type).toBe('view');
+            expect(baseAccessor.getTableInfo('orders').foreignKeys).toEqual([
+                { name: 'orders_user_id_fkey', columns: ['user_id'], referencedTable: 'public.users', referencedColumns: ['id'] }
+            ]);
+        });
+    });
+
     describe('filterWithTableColumnName', () => {
         beforeEach(async () => {
             await baseAccessor.initialize();
-            baseAccessor.columnsMap.set('users', ['id', 'name', 'email']);
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email']);
         });
 
         test('should filter data based on table columns', () => {
@@ -207,14 +418,87 @@ describe('PostgreSQLAccessor', () => {
         });
     });
 
+    describe('validateRows', () => {
+        const info = overrides => ({
+            dataType: 'text', udtName: 'text', isArray: false, nullable: true, defaultValue: null,
+            isIdentity: false, isGenerated: false, maxLength: null, enumValues: null, ...overrides
+        });
+
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'age', 'active', 'search']);
+            baseAccessor.columnInfoMap.set('public.users', [
+                info({ name: 'id', dataType: 'integer', udtName: 'int4', nullable: false, isIdentity: true }),
+                info({ name: 'name', nullable: false }),
+                info({ name: 'age', dataType: 'integer', udtName: 'int4' }),
+                info({ name: 'active', dataType: 'boolean', udtName: 'bool', nullable: false, defaultValue: 'true' }),
+                info({ name: 'search', isGenerated: true })
+            ]);
+        });
+
+        test('should coerce values to their column types', () => {
+            const [row] = baseAccessor.validateRows('users', [{ name: 'John', age: '30', active: 'yes' }]);
+
+            expect(row).toEqual({ name: 'John', age: 30, active: true });
+        });
+
+        test('should collect every invalid field into one error', () => {
+            let error;
+            try {
+                baseAccessor.validateRows('users', [{ age: 'abc', active: null, search: 'x' }]);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.errors).toEqual([
+                { column: 'name', message: 'is required', value: undefined },
+                { column: 'age', message: 'must be an integer', value: 'abc' },
+                { column: 'active', message: 'cannot be null', value: null },
+                { column: 'search', message: 'is a generated column and cannot be written', value: 'x' }
+            ]);
+            expect(error.message).toContain('Validation failed for table users: name is required; age must be an integer');
+        });
+
+        test('should skip required columns for partial rows and report row indexes in bulk', () => {
+            expect(baseAccessor.validateRows('users', [{ age: 5 }], { partial: true })).toEqual([{ age: 5 }]);
+            expect(() => baseAccessor.validateRows('users', [{ name: 'a' }, { name: 'b', age: 'x' }], { bulk: true }))
+                .toThrow('row 1 age must be an integer');
+        });
+
+        test('should pass rows through without column metadata', () => {
+            baseAccessor.columnInfoMap.delete('public.users');
+
+            expect(baseAccessor.validateRows('users', [{ age: 'abc' }])).toEqual([{ age: 'abc' }]);
+        });
+
+        test('should reject invalid data before any SQL runs', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'John', age: 'abc' });
+
+            await expect(baseAccessor.create('users', { name: 'John', age: 'abc' })).rejects.toThrow(ValidationError);
+            await expect(baseAccessor.update('users', { age: 'abc' }, { id: 1 })).rejects.toThrow(ValidationError);
+            await expect(baseAccessor.createMany('users', [{ name: 'John', age: 'abc' }])).rejects.toThrow(ValidationError);
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should write coerced values', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ age: '41' });
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.update('users', { age: '41' }, { id: 1 });
+
+            expect(mockClient.query.mock.calls[0][1]).toEqual([41, 1]);
+        });
+    });
+
     describe('toConditionClause', () => {
         test('should build where clause with parameters', () => {
             const conditions = { name: 'John', email: 'john@example.com' };
             
             const result = baseAccessor.toConditionClause(conditions);
             
-            expect(result.whereClause).toContain('name = $1');
-            expect(result.whereClause).toContain('email = $2');
+            expect(result.whereClause).toContain('"name" = $1');
+            expect(result.whereClause).toContain('"email" = $2');
             expect(result.params).toEqual(['John', 'john@example.com']);
         });
 
@@ -226,8 +510,8 @@ describe('PostgreSQLAccessor', () => {
             
             const result = baseAccessor.toConditionClause(conditions);
             
-            expect(result.whereClause).toContain('age > $1');
-            expect(result.whereClause).toContain('name = $2');
+            expect(result.whereClause).toContain('"age" > $1');
+            expect(result.whereClause).toContain('"name" = $2');
             expect(result.params).toEqual([18, 'John']);
         });
 
@@ -242,16 +526,167 @@ describe('PostgreSQLAccessor', () => {
             
             const result = baseAccessor.toConditionClause(conditions);
             
-            expect(result.whereClause).toContain('name = $1');
+            expect(result.whereClause).toContain('"name" = $1');
             expect(result.params).toEqual(['John']);
         });
+
+        test('should quote condition keys so they cannot inject SQL', () => {
+            const result = baseAccessor.toConditionClause({ 'id; DROP TABLE x': 1 });
+
+            expect(result.whereClause).toBe(' AND "id; DROP TABLE x" = $1');
+        });
+
+        test('should reject keys that are not columns of a discovered table', () => {
+            baseAccessor.columnsMap.set('public.users', ['id', 'name']);
+
+            expect(() => baseAccessor.toConditionClause({ 'id; DROP TABLE x': 1 }, 'users'))
+                .toThrow(InvalidIdentifierError);
+            expect(() => baseAccessor.toConditionClause({ nickname: 'J' }, 'users'))
+                .toThrow('Unknown column nickname for table users');
+        });
+
+        test('should reject operators outside the allowlist', () => {
+            const conditions = { id: { operator: '= 1 OR 1=1 --', value: 1 } };
+
+            expect(() => baseAccessor.toConditionClause(conditions)).toThrow(InvalidIdentifierError);
+        });
+
+        test('should normalize allowed operators', () => {
+            const result = baseAccessor.toConditionClause({ name: { operator: ' not  ilike ', value: 'j%' } });
+
+            expect(result.whereClause).toBe(' AND "name" NOT ILIKE $1');
+        });
+    });
+
+    describe('json columns', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.docs', ['id', 'title', 'data', 'meta']);
+            baseAccessor.columnInfoMap.set('public.docs', [
+                { name: 'id', udtName: 'int4', isArray: false },
+                { name: 'title', udtName: 'text', isArray: false },
+                { name: 'data', udtName: 'jsonb', isArray: false },
+                { name: 'meta', udtName: 'json', isArray: false }
+            ]);
+        });
+
+        test('should keep objects for json columns intact when flattening', () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ title: 'a', data: { b: 1 } });
+
+            expect(baseAccessor.filterWithTableColumnName({ title: 'a', data: { b: 1 } }, 'docs')).toEqual({ title: 'a', data: { b: 1 } });
+
+            const keepIntact = mockObjectUtility.convertObjectToFlat.mock.calls[0][2];
+            expect(keepIntact('data')).toBe(true);
+            expect(keepIntact('title')).toBe(false);
+        });
+
+        test('should compile JSON paths with inlined segments', () => {
+            const result = baseAccessor.toConditionClause({
+                'data->address->>city': 'Paris',
+                'data->tags->0': { $contains: '"sql"' }
+            }, 'docs');
+
+            expect(result.whereClause).toBe(' AND "data" -> \'address\' ->> \'city\' = $1 AND "data" -> \'tags\' -> 0 @> $2::jsonb');
+            expect(result.params).toEqual(['Paris', '"sql"']);
+        });
+
+        test('should cast whole json paths to jsonb', () => {
+            const result = baseAccessor.toConditionClause({
+                'meta->address': { city: 'Paris' },
+                'meta->tags': { $contains: ['sql'] },
+                'meta->>name': 'x'
+            }, 'docs');
+
+            expect(result.whereClause).toBe(' AND ("meta" -> \'address\')::jsonb = $1::jsonb'
+                + ' AND ("meta" -> \'tags\')::jsonb @> $2::jsonb AND "meta" ->> \'name\' = $3');
+            expect(result.params).toEqual(['{"city":"Paris"}', '["sql"]', 'x']);
+        });
+
+        test('should escape path segments', () => {
+            const result = baseAccessor.toConditionClause({ 'data->>it\'s': 'x' }, 'docs');
+
+            expect(result.whereClause).toBe(' AND "data" ->> \'it\'\'s\' = $1');
+        });
+
+        test('should reject invalid paths', () => {
+            expect(() => baseAccessor.toConditionClause({ 'title->>a': 'x' }, 'docs'))
+                .toThrow('Column title of table docs is not a json or jsonb column');
+            expect(() => baseAccessor.toConditionClause({ 'data->>a->b': 'x' }, 'docs')).toThrow('Invalid JSON path: data->>a->b');
+            expect(() => baseAccessor.toConditionClause({ 'data->': 'x' }, 'docs')).toThrow(InvalidIdentifierError);
+        });
+    });
+
+    describe('createMany', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email', 'role']);
+            mockObjectUtility.convertObjectToFlat.mockImplementation(data => ({ ...data }));
+            mockClient.query.mockImplementation(async (sql, params) => ({ rows: params.map(value => ({ value })) }));
+        });
+
+        test('should insert all rows in one multi-row statement', async () => {
+            await baseAccessor.createMany('users', [
+                { name: 'Ann', email: 'ann@example.com' },
+                { name: 'Bob', role: 'admin', unknown: 'dropped' }
+            ]);
+
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('INSERT INTO "public"."users" ("name", "email", "role")');
+            expect(sql).toContain('VALUES ($1, $2, DEFAULT), ($3, DEFAULT, $4)');
+            expect(sql).toContain('RETURNING *');
+            expect(params).toEqual(['Ann', 'ann@example.com', 'Bob', 'admin']);
+        });
+
+        test('should split rows into chunks and return every inserted row', async () => {
+            const data = [{ name: 'a' }, { name: 'b' }, { name: 'c' }, { name: 'd' }, { name: 'e' }];
+
+            const rows = await baseAccessor.createMany('users', data, { chunkSize: 2 });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(3);
+            expect(mockClient.query.mock.calls[2][0]).toContain('VALUES ($1)');
+            expect(rows.map(row => row.value)).toEqual(['a', 'b', 'c', 'd', 'e']);
+        });
+
+        test('should stay under the 65535 parameter limit', async () => {
+            const data = Array.from({ length: 20000 }, (_, i) => ({ id: i, name: 'n', email: 'e', role: 'r' }));
+
+            await baseAccessor.createMany('users', data);
+
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+            expect(mockClient.query.mock.calls[0][1]).toHaveLength(16383 * 4);
+            expect(mockClient.query.mock.calls[1][1]).toHaveLength((20000 - 16383) * 4);
+        });
+
+        test('should run all chunks inside one transaction when requested', async () => {
+            const txClient = {
+                query: jest.fn(async (sql, params = []) => ({ rows: params.map(value => ({ value })) })),
+                release: jest.fn()
+            };
+            PGClientFactory.getPGClient.mockResolvedValue(txClient);
+
+            await baseAccessor.createMany('users', [{ name: 'a' }, { name: 'b' }], { chunkSize: 1, transaction: true });
+
+            expect(txClient.query.mock.calls.map(call => call[0].trim().split(/\s+/)[0])).toEqual(['BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should return an empty array for empty input', async () => {
+            expect(await baseAccessor.createMany('users', [])).toEqual([]);
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should reject input without valid columns', async () => {
+            await expect(baseAccessor.createMany('users', [{ nope: 1 }])).rejects.toThrow('No valid columns found for createMany operation');
+            await expect(baseAccessor.createMany('users', { name: 'a' })).rejects.toThrow('createMany expects an array of objects');
+        });
     });
 
     describe('upsert', () => {
         beforeEach(async () => {
             await baseAccessor.initialize();
-            baseAccessor.columnsMap.set('users', ['id', 'name', 'email']);
-            baseAccessor.primaryKeyColumnsMap.set('users', ['id']);
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email']);
+            baseAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
             mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, name: 'John', email: 'john@example.com' });
         });
 
@@ -265,7 +700,7 @@ describe('PostgreSQLAccessor', () => {
             const result = await baseAccessor.upsert('users', data, conditions);
 
             expect(mockClient.query).toHaveBeenCalledWith(
-                expect.stringContaining('INSERT INTO users'),
+                expect.stringContaining('INSERT INTO "public"."users"'),
                 expect.arrayContaining([1, 'John', 'john@example.com'])
             );
             expect(result).toEqual(mockRows[0]); // Now returns single object
@@ -278,11 +713,171 @@ describe('PostgreSQLAccessor', () => {
         });
 
         test('should throw error if no unique constraints found', async () => {
-            baseAccessor.primaryKeyColumnsMap.set('users', []);
-            baseAccessor.uniqueColumnsMap.set('users', []);
+            baseAccessor.primaryKeyColumnsMap.set('public.users', []);
+            baseAccessor.uniqueColumnsMap.set('public.users', []);
 
             await expect(baseAccessor.upsert('users', { name: 'John' }, {})).rejects.toThrow('No unique constraints found for table users');
         });
+
+        describe('conflict handling', () => {
+            beforeEach(() => {
+                baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email', 'org_id', 'slug']);
+                baseAccessor.primaryKeyNameMap.set('public.users', 'users_pkey');
+                baseAccessor.uniqueConstraintsMap.set('public.users', [
+                    { name: 'users_org_slug_key', columns: ['org_id', 'slug'] },
+                    { name: 'users_email_key', columns: ['email'] }
+                ]);
+                mockClient.query.mockResolvedValue({ rows: [{ id: 1, __upsert_inserted: true }] });
+            });
+
+            const lastSql = () => mockClient.query.mock.calls[0][0];
+
+            test('should target the first constraint whose columns are all supplied', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ email: 'a@example.com', name: 'Ann' });
+
+                await baseAccessor.upsert('users', {}, {});
+
+                expect(lastSql()).toContain('ON CONFLICT ("email")');
+                expect(lastSql()).not.toContain('"org_id"');
+                expect(lastSql()).toContain('DO UPDATE SET "name" = EXCLUDED."name"');
+            });
+
+            test('should accept a constraint name as conflict target', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ org_id: 1, slug: 'ann', email: 'a@example.com' });
+
+                await baseAccessor.upsert('users', {}, {}, { conflictTarget: 'users_org_slug_key' });
+
+                expect(lastSql()).toContain('ON CONFLICT ON CONSTRAINT "users_org_slug_key"');
+                expect(lastSql()).toContain('DO UPDATE SET "email" = EXCLUDED."email"');
+            });
+
+            test('should accept a column list as conflict target', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ org_id: 1, slug: 'ann', name: 'Ann' });
+
+                await baseAccessor.upsert('users', {}, {}, { conflictTarget: ['org_id', 'slug'] });
+
+                expect(lastSql()).toContain('ON CONFLICT ("org_id", "slug")');
+            });
+
+            test('should reject unknown constraints and unusable data', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Ann' });
+
+                await expect(baseAccessor.upsert('users', {}, {}, { conflictTarget: 'nope' }))
+                    .rejects.toThrow('Unknown unique constraint nope for table users');
+                await expect(baseAccessor.upsert('users', {}, {}))
+                    .rejects.toThrow('Data for table users does not include all columns of any unique constraint');
+            });
+
+            test('should only update the chosen columns', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, name: 'Ann', email: 'a@example.com' });
+
+                await baseAccessor.upsert('users', {}, {}, { updateColumns: ['name'] });
+
+                expect(lastSql()).toContain('DO UPDATE SET "name" = EXCLUDED."name"\n');
+                await expect(baseAccessor.upsert('users', {}, {}, { updateColumns: ['slug'] }))
+                    .rejects.toThrow('Update column slug is not supplied in the data for table users');
+            });
+
+            test('should support DO NOTHING', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, name: 'Ann' });
+                mockClient.query.mockResolvedValue({ rows: [] });
+
+                const result = await baseAccessor.upsert('users', {}, {}, { doNothing: true, returnStatus: true });
+
+                expect(lastSql()).toContain('DO NOTHING');
+                expect(result).toEqual({ row: null, inserted: false });
+            });
+
+            test('should apply conditions as a qualified WHERE on the update', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, name: 'Ann' });
+
+                await baseAccessor.upsert('users', {}, { email: { $isNull: true }, slug: 'x' });
+
+                expect(lastSql()).toContain('WHERE 1 = 1  AND "users"."email" IS NULL AND "users"."slug" = $3');
+                expect(mockClient.query.mock.calls[0][1]).toEqual([1, 'Ann', 'x']);
+            });
+
+            test('should report whether the row was inserted or updated', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, name: 'Ann' });
+                mockClient.query.mockImplementation(async () => ({ rows: [{ id: 1, name: 'Ann', __upsert_inserted: false }] }));
+
+                const plain = await baseAccessor.upsert('users', {}, {});
+                const withStatus = await baseAccessor.upsert('users', {}, {}, { returnStatus: true });
+
+                expect(plain).toEqual({ id: 1, name: 'Ann' });
+                expect(withStatus).toEqual({ row: { id: 1, name: 'Ann' }, inserted: false });
+            });
+        });
+    });
+
+    describe('upsertMany', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email']);
+            baseAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
+            mockObjectUtility.convertObjectToFlat.mockImplementation(data => ({ ...data }));
+        });
+
+        test('should upsert rows in one multi-row statement', async () => {
+            mockClient.query.mockResolvedValue({ rows: [
+                { id: 1, name: 'A', __upsert_inserted: false },
+                { id: 2, name: 'B', __upsert_inserted: true }
+            ] });
+
+            const results = await baseAccessor.upsertMany('users', [{ id: 1, name: 'A' }, { id: 2, name: 'B' }], {}, { returnStatus: true });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('VALUES ($1, $2), ($3, $4)');
+            expect(sql).toContain('ON CONFLICT ("id")');
+            expect(params).toEqual([1, 'A', 2, 'B']);
+            expect(results).toEqual([
+                { row: { id: 1, name: 'A' }, inserted: false },
+                { row: { id: 2, name: 'B' }, inserted: true }
+            ]);
+        });
+
+        test('should chunk large batches and return plain rows by default', async () => {
+            mockClient.query.mockImplementation(async (sql, params) => ({ rows: [{ id: params[0] }] }));
+
+            const rows = await baseAccessor.upsertMany('users', [{ id: 1 }, { id: 2 }, { id: 3 }], {}, { chunkSize: 2 });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+            expect(rows).toEqual([{ id: 1 }, { id: 3 }]);
+        });
+
+        test('should leave room for condition parameters under the 65535 parameter limit', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+            const data = Array.from({ length: 21845 }, (_, i) => ({ id: i, name: 'n', email: 'e' }));
+
+            await baseAccessor.upsertMany('users', data, { name: { $ne: 'locked' } });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+            expect(mockClient.query.mock.calls[0][1]).toHaveLength(21844 * 3 + 1);
+            expect(mockClient.query.mock.calls[1][1]).toHaveLength(3 + 1);
+        });
+
+        test('should return an empty array for empty input', async () => {
+            expect(await baseAccessor.upsertMany('users', [])).toEqual([]);
+        });
+    });
+
+    describe('update', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email', 'status']);
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Jane', email: 'jane@example.com' });
+        });
+
+        test('should number condition placeholders after the SET values', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+            await baseAccessor.update('users', { name: 'Jane', email: 'jane@example.com' }, { id: 1, status: { $in: ['a', 'b'] } });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('SET "name" = $1, "email" = $2');
+            expect(sql).toContain('AND "id" = $3 AND "status" IN ($4, $5)');
+            expect(params).toEqual(['Jane', 'jane@example.com', 1, 'a', 'b']);
+        });
     });
 
     describe('read', () => {
@@ -299,7 +894,7 @@ describe('PostgreSQLAccessor', () => {
             const result = await baseAccessor.read('users', conditions);
 
             expect(mockClient.query).toHaveBeenCalledWith(
-                expect.stringMatching(/SELECT[\s\S]*FROM users/),
+                expect.stringMatching(/SELECT[\s\S]*FROM "public"."users"/),
                 ['John']
             );
             expect(result).toEqual(mockRows);
@@ -312,62 +907,1535 @@ describe('PostgreSQLAccessor', () => {
             const result = await baseAccessor.read('users');
 
             expect(mockClient.query).toHaveBeenCalledWith(
-                expect.stringMatching(/SELECT[\s\S]*FROM users/),
+                expect.stringMatching(/SELECT[\s\S]*FROM "public"."users"/),
                 []
             );
             expect(result).toEqual(mockRows);
         });
+
+        test('should compile rich conditions', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.read('users', {
+                deleted_at: { $isNull: true },
+                $or: [{ status: 'active' }, { role: { $in: ['admin', 'owner'] } }]
+            });
+
+            expect(mockClient.query).toHaveBeenCalledWith(
+                expect.stringContaining('"deleted_at" IS NULL AND ("status" = $1 OR "role" IN ($2, $3))'),
+                ['active', 'admin', 'owner']
+            );
+        });
+
+        test('should read every row when an $or branch always holds', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.read('users', { $or: [{ status: { $notIn: [] } }, { id: 5 }] });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toMatch(/WHERE 1 = 1\s*$/);
+            expect(params).toEqual([]);
+        });
+
+        test('should read no rows when negating a condition that always holds', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.read('users', { $not: { status: { $notIn: [] } } });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toMatch(/WHERE 1 = 1\s+AND FALSE\s*$/);
+            expect(params).toEqual([]);
+        });
     });
 
-    describe('delete', () => {
+    describe('read options', () => {
         beforeEach(async () => {
             await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email', 'created_at']);
+            mockClient.query.mockResolvedValue({ rows: [] });
         });
 
-        test('should execute delete query', async () => {
-            const conditions = { id: 1 };
-            const mockRows = [{ id: 1, name: 'John' }];
-            
-            mockClient.query.mockResolvedValue({ rows: mockRows });
+        test('should select only the requested columns', async () => {
+            await baseAccessor.read('users', {}, { columns: ['id', 'name'] });
 
-            const result = await baseAccessor.delete('users', conditions);
+            expect(mockClient.query.mock.calls[0][0]).toMatch(/SELECT "id", "name"\s+FROM "public"."users"/);
+        });
 
-            expect(mockClient.query).toHaveBeenCalledWith(
-                expect.stringMatching(/DELETE[\s\S]*FROM users/),
-                [1]
-            );
-            expect(result).toEqual(mockRows);
+        test('should reject unknown columns', async () => {
+            await expect(baseAccessor.read('users', {}, { columns: ['password'] }))
+                .rejects.toThrow(InvalidIdentifierError);
+        });
+
+        test('should order by several columns with direction and nulls placement', async () => {
+            await baseAccessor.read('users', {}, {
+                orderBy: ['name', { column: 'created_at', direction: 'desc', nulls: 'last' }]
+            });
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('ORDER BY "name" ASC, "created_at" DESC NULLS LAST');
+        });
+
+        test('should reject invalid sort specifications', async () => {
+            await expect(baseAccessor.read('users', {}, { orderBy: { column: 'name', direction: 'sideways' } }))
+                .rejects.toThrow('Invalid sort direction: sideways');
+            await expect(baseAccessor.read('users', {}, { orderBy: { column: 'name', nulls: 'middle' } }))
+                .rejects.toThrow('Invalid nulls ordering: middle');
+        });
+
+        test('should pass limit and offset as parameters after the conditions', async () => {
+            await baseAccessor.read('users', { name: 'John' }, { limit: 10, offset: 20 });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toMatch(/LIMIT \$2\s+OFFSET \$3/);
+            expect(params).toEqual(['John', 10, 20]);
+        });
+
+        test('should reject negative or fractional limits', async () => {
+            await expect(baseAccessor.read('users', {}, { limit: -1 })).rejects.toThrow('limit must be a non-negative integer');
+            await expect(baseAccessor.read('users', {}, { offset: 1.5 })).rejects.toThrow('offset must be a non-negative integer');
         });
     });
 
-    describe('query', () => {
+    describe('result mapping', () => {
+        const row = () => ({ id: 1, first_name: 'John', address_street_name: 'Main' });
+
         beforeEach(async () => {
+            const { convertFlatToObject, toNestedPath, snakeToCamelCase, camelToSnakeCase } = jest.requireActual('../../src/utils/ObjectUtility').prototype;
+            Object.assign(mockObjectUtility, { convertFlatToObject, toNestedPath, snakeToCamelCase, camelToSnakeCase });
+
             await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'first_name', 'address_street_name']);
+            baseAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
+            mockClient.query.mockImplementation(async () => ({ rows: [row()] }));
         });
 
-        test('should execute custom query', async () => {
-            const customQuery = 'SELECT COUNT(*) FROM users';
-            const mockRows = [{ count: 5 }];
-            
-            mockClient.query.mockResolvedValue({ rows: mockRows });
+        test('should return raw rows by default', async () => {
+            expect(await baseAccessor.read('users')).toEqual([row()]);
+        });
 
-            const result = await baseAccessor.query(customQuery);
+        test('should map rows per call using the table shape', async () => {
+            baseAccessor.tableOptionsMap.set('public.users', { shape: { address: true } });
 
-            expect(mockClient.query).toHaveBeenCalledWith(customQuery, []);
-            expect(result).toEqual(mockRows);
+            const rows = await baseAccessor.read('users', {}, { mapResults: true });
+
+            expect(rows).toEqual([{ id: 1, firstName: 'John', address: { streetName: 'Main' } }]);
         });
 
-        test('should execute query with parameters', async () => {
-            const customQuery = 'SELECT * FROM users WHERE id = $1';
-            const params = [1];
-            const mockRows = [{ id: 1, name: 'John' }];
-            
-            mockClient.query.mockResolvedValue({ rows: mockRows });
+        test('should map every write result when enabled on the accessor', async () => {
+            baseAccessor.mapResults = true;
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ first_name: 'John' });
 
-            const result = await baseAccessor.query(customQuery, params);
+            expect(await baseAccessor.create('users', { firstName: 'John' })).toEqual(expect.objectContaining({ firstName: 'John' }));
+            expect(await baseAccessor.update('users', { firstName: 'John' }, { id: 1 })).toEqual([expect.objectContaining({ firstName: 'John' })]);
+            expect(await baseAccessor.delete('users', { id: 1 })).toEqual([expect.objectContaining({ addressStreetName: 'Main' })]);
+            expect(await baseAccessor.delete('users', { id: 1 }, { mapResults: false })).toEqual([row()]);
+        });
 
-            expect(mockClient.query).toHaveBeenCalledWith(customQuery, params);
-            expect(result).toEqual(mockRows);
+        test('should build readPage cursors from raw rows', async () => {
+            baseAccessor.mapResults = true;
+            mockClient.query.mockImplementation(async () => ({
+                rows: [{ ...row(), __cursor_0: '1' }, { ...row(), id: 2, __cursor_0: '2' }]
+            }));
+
+            const page = await baseAccessor.readPage('users', {}, { limit: 1 });
+
+            expect(page.rows).toEqual([expect.objectContaining({ firstName: 'John' })]);
+            expect(page.rows[0]).not.toHaveProperty('__cursor_0');
+            expect(baseAccessor.decodeCursor(page.nextCursor, 1)).toEqual(['1']);
+        });
+
+        test('should store table options from addTable', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.addTable('users', { shape: { address: true } });
+
+            expect(baseAccessor.getTableOptions('users')).toEqual({ shape: { address: true } });
+        });
+    });
+
+    describe('array columns', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.posts', ['id', 'tags']);
+            baseAccessor.columnInfoMap.set('public.posts', [
+                { name: 'id', dataType: 'integer', udtSchema: 'pg_catalog', udtName: 'int4', isArray: false, nullable: false, defaultValue: 'nextval()' },
+                { name: 'tags', dataType: 'ARRAY', udtSchema: 'pg_catalog', udtName: '_text', isArray: true, nullable: true, defaultValue: null }
+            ]);
+            mockClient.query.mockResolvedValue({ rows: [] });
+        });
+
+        test('should type array condition parameters from metadata', () => {
+            const result = baseAccessor.toConditionClause({ tags: { $overlap: ['a'] } }, 'posts');
+
+            expect(result.whereClause).toBe(' AND "tags" && $1::"pg_catalog"."_text"');
+        });
+
+        test('should keep array update operators intact when flattening', () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({});
+
+            baseAccessor.filterWithTableColumnName({ tags: { $append: 'a' } }, 'posts');
+
+            expect(mockObjectUtility.convertObjectToFlat.mock.calls[0][2]('tags')).toBe(true);
+        });
+
+        test('should append and remove elements in update', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ tags: { $append: 'new', $remove: ['old', 'stale'] } });
+
+            await baseAccessor.update('posts', { tags: { $append: 'new', $remove: ['old', 'stale'] } }, { id: 1 });
+
+            const [query, params] = mockClient.query.mock.calls[0];
+            expect(query).toContain('SET "tags" = array_remove(array_remove(array_append("tags", $1::"pg_catalog"."text"), '
+                + '$2::"pg_catalog"."text"), $3::"pg_catalog"."text")');
+            expect(query).toContain('WHERE 1 = 1  AND "id" = $4');
+            expect(params).toEqual(['new', 'old', 'stale', 1]);
+        });
+
+        test('should concatenate arrays passed to $append', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ tags: { $append: ['a', 'b'] } });
+
+            await baseAccessor.update('posts', { tags: { $append: ['a', 'b'] } }, { id: 1 });
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('SET "tags" = array_cat("tags", $1::"pg_catalog"."_text")');
+            expect(mockClient.query.mock.calls[0][1]).toEqual([['a', 'b'], 1]);
+        });
+
+        test('should not accept array update operators outside update', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ tags: { $append: 'a' } });
+
+            await expect(baseAccessor.create('posts', { tags: { $append: 'a' } })).rejects.toThrow('tags must be an array');
+        });
+    });
+
+    describe('foreign keys and includes', () => {
+        const foreignKey = (table, column, foreignTable, name) => ({
+            constraint_name: name || `${table}_${column}_fkey`, table_schema: 'public', table_name: table,
+            foreign_table_schema: 'public', foreign_table_name: foreignTable, column_names: [column], foreign_column_names: ['id']
+        });
+
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name']);
+            baseAccessor.columnsMap.set('public.posts', ['id', 'author_id', 'title']);
+            baseAccessor.columnsMap.set('public.comments', ['id', 'post_id', 'body']);
+            baseAccessor.storeForeignKeys([
+                foreignKey('posts', 'author_id', 'users'),
+                foreignKey('comments', 'post_id', 'posts')
+            ]);
+        });
+
+        test('should discover foreign keys from and to a table', async () => {
+            mockClient.query.mockResolvedValue({ rows: [foreignKey('orders', 'user_id', 'users')] });
+
+            await baseAccessor.addForeignKeys('users');
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('con.contype = \'f\'');
+            expect(mockClient.query.mock.calls[0][1]).toEqual(['public', 'users']);
+            expect(baseAccessor.foreignKeysMap.get('public.users')).toEqual([]);
+            expect(baseAccessor.foreignKeysMap.get('public.orders')).toEqual([
+                { name: 'orders_user_id_fkey', columns: ['user_id'], referencedTable: 'public.users', referencedColumns: ['id'] }
+            ]);
+        });
+
+        test('should derive belongs-to and has-many relations', () => {
+            expect(baseAccessor.getRelations('posts')).toEqual([
+                { name: 'author', constraint: 'posts_author_id_fkey', type: 'belongsTo', table: 'public.users', localColumns: ['author_id'], foreignColumns: ['id'] },
+                { name: 'comments', constraint: 'comments_post_id_fkey', type: 'hasMany', table: 'public.comments', localColumns: ['id'], foreignColumns: ['post_id'] }
+            ]);
+        });
+
+        test('should require constraint names for ambiguous relations', () => {
+            baseAccessor.storeForeignKeys([foreignKey('posts', 'editor_id', 'users')]);
+
+            expect(() => baseAccessor.findRelation('users', 'posts'))
+                .toThrow('Relation posts of table users is ambiguous; include it by constraint name: posts_author_id_fkey, posts_editor_id_fkey');
+            expect(baseAccessor.findRelation('users', 'posts_editor_id_fkey').foreignColumns).toEqual(['editor_id']);
+            expect(() => baseAccessor.findRelation('users', 'likes')).toThrow('Unknown relation likes for table users');
+        });
+
+        test('should load relations with one query each and nest them', async () => {
+            mockClient.query.mockImplementation(async (sql) => {
+                if (sql.includes('"public"."users"')) {
+                    return { rows: [{ id: 1, name: 'Ann' }] };
+                }
+                if (sql.includes('"public"."comments"')) {
+                    return { rows: [{ id: 10, post_id: 5, body: 'Hi' }] };
+                }
+                return { rows: [{ id: 5, author_id: 1, title: 'A' }, { id: 6, author_id: null, title: 'B' }] };
+            });
+
+            const posts = await baseAccessor.read('posts', {}, {
+                include: { author: true, comments: { conditions: { body: { $ne: '' } } } }
+            });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(3);
+            expect(mockClient.query.mock.calls[1][0]).toContain('AND "id" IN ($1)');
+            expect(mockClient.query.mock.calls[1][1]).toEqual([1]);
+            expect(mockClient.query.mock.calls[2][0]).toContain('AND ("post_id" IN ($1, $2) AND "body" <> $3)');
+            expect(posts).toEqual([
+                { id: 5, author_id: 1, title: 'A', author: { id: 1, name: 'Ann' }, comments: [{ id: 10, post_id: 5, body: 'Hi' }] },
+                { id: 6, author_id: null, title: 'B', author: null, comments: [] }
+            ]);
+        });
+
+        test('should limit has-many rows per parent with ROW_NUMBER', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 5, author_id: 1, title: 'A' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 10, post_id: 5, body: 'Hi', __include_row: '1' }] });
+
+            const posts = await baseAccessor.read('posts', {}, {
+                include: { comments: { limit: 3, orderBy: { column: 'id', direction: 'desc' } } }
+            });
+
+            const [query, params] = mockClient.query.mock.calls[1];
+            expect(query).toMatch(/ROW_NUMBER\(\) OVER \(PARTITION BY "post_id"\s+ORDER BY "id" DESC\) AS "__include_row"/);
+            expect(query).toContain('WHERE "__include_row" <= $2');
+            expect(params).toEqual([5, 3]);
+            expect(posts[0].comments).toEqual([{ id: 10, post_id: 5, body: 'Hi' }]);
+        });
+
+        test('should require the key columns to be selected', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ id: 5, title: 'A' }] });
+
+            await expect(baseAccessor.read('posts', {}, { columns: ['id', 'title'], include: { author: true } }))
+                .rejects.toThrow('Include author needs column author_id of table posts to be selected');
+            await expect(baseAccessor.read('posts', {}, { include: { comments: { columns: ['body'] } } }))
+                .rejects.toThrow('Include comments needs column post_id of table public.comments to be selected');
+        });
+    });
+
+    describe('readPaginated', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name']);
+        });
+
+        test('should return the page together with the total count', async () => {
+            mockClient.query.mockImplementation(async (sql) => (
+                sql.includes('COUNT(*)') ? { rows: [{ count: '42' }] } : { rows: [{ id: 11 }, { id: 12 }] }
+            ));
+
+            const result = await baseAccessor.readPaginated('users', { name: { $like: 'J%' } }, { limit: 2, offset: 10, orderBy: 'id' });
+
+            expect(result).toEqual({ rows: [{ id: 11 }, { id: 12 }], total: 42, limit: 2, offset: 10 });
+            const countCall = mockClient.query.mock.calls.find(call => call[0].includes('COUNT(*)'));
+            expect(countCall[0]).not.toContain('LIMIT');
+            expect(countCall[1]).toEqual(['J%']);
+        });
+    });
+
+    describe('aggregates', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.orders', ['id', 'status', 'user_id', 'amount', 'created_at']);
+        });
+
+        test('should count matching rows as a number', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ count: '7' }] });
+
+            const count = await baseAccessor.count('orders', { status: 'paid' });
+
+            expect(count).toBe(7);
+            expect(mockClient.query.mock.calls[0][0]).toMatch(/SELECT COUNT\(\*\) AS "count"\s+FROM "public"."orders"\s+WHERE 1 = 1\s+AND "status" = \$1/);
+            expect(mockClient.query.mock.calls[0][1]).toEqual(['paid']);
+        });
+
+        test('should check existence', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ exists: true }] });
+
+            expect(await baseAccessor.exists('orders', { id: 1 })).toBe(true);
+            expect(mockClient.query.mock.calls[0][0]).toContain('SELECT EXISTS (SELECT 1');
+        });
+
+        test('should group, filter groups, sort and limit', async () => {
+            mockClient.query.mockResolvedValue({
+                rows: [{ status: 'paid', total: '150.50', orders: '3', buyers: '2' }],
+                fields: [{ name: 'status', dataTypeID: 25 }, { name: 'total', dataTypeID: 1700 }, { name: 'orders', dataTypeID: 20 }, { name: 'buyers', dataTypeID: 20 }]
+            });
+
+            const rows = await baseAccessor.aggregate('orders', {
+                conditions: { amount: { $gt: 0 } },
+                groupBy: 'status',
+                metrics: { total: { sum: 'amount' }, orders: { count: '*' }, buyers: { count: 'user_id', distinct: true } },
+                having: { orders: { $gte: 2 }, status: { $ne: 'void' } },
+                orderBy: [{ column: 'total', direction: 'desc' }, 'status'],
+                limit: 10
+            });
+
+            const [query, params] = mockClient.query.mock.calls[0];
+            expect(query).toContain('SELECT "status", SUM("amount") AS "total", COUNT(*) AS "orders", COUNT(DISTINCT "user_id") AS "buyers"');
+            expect(query).toContain('GROUP BY "status"');
+            expect(query).toContain('HAVING 1 = 1  AND COUNT(*) >= $2 AND "status" <> $3');
+            expect(query).toContain('ORDER BY "total" DESC, "status" ASC');
+            expect(query).toContain('LIMIT $4');
+            expect(params).toEqual([0, 2, 'void', 10]);
+            expect(rows).toEqual([{ status: 'paid', total: 150.5, orders: 3, buyers: 2 }]);
+        });
+
+        test('should return single metrics from the shorthand helpers', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ max: new Date(0) }], fields: [{ name: 'max', dataTypeID: 1184 }] });
+
+            expect(await baseAccessor.max('orders', 'created_at')).toEqual(new Date(0));
+            expect(mockClient.query.mock.calls[0][0]).toContain('MAX("created_at") AS "max"');
+
+            mockClient.query.mockResolvedValue({ rows: [{ avg: null }], fields: [{ name: 'avg', dataTypeID: 1700 }] });
+            expect(await baseAccessor.avg('orders', 'amount', { status: 'none' })).toBeNull();
+        });
+
+        test('should validate metrics, having and orderBy', async () => {
+            await expect(baseAccessor.aggregate('orders', { metrics: { total: { median: 'amount' } } }))
+                .rejects.toThrow('Metric total must use exactly one of: count, sum, avg, min, max');
+            await expect(baseAccessor.aggregate('orders', { metrics: { total: { sum: 'password' } } }))
+                .rejects.toThrow(InvalidIdentifierError);
+            await expect(baseAccessor.aggregate('orders', { groupBy: 'status', having: { amount: 1 } }))
+                .rejects.toThrow('having amount must be a metric or groupBy column');
+            await expect(baseAccessor.aggregate('orders', { groupBy: 'status', orderBy: 'amount' }))
+                .rejects.toThrow('orderBy amount must be a metric or groupBy column');
+            await expect(baseAccessor.aggregate('orders', {})).rejects.toThrow('aggregate needs at least one metric or groupBy column');
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('timestamps', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'created_at', 'updated_at']);
+            baseAccessor.columnInfoMap.set('public.users', [
+                { name: 'id', udtName: 'int4', isArray: false },
+                { name: 'name', udtName: 'text', isArray: false },
+                { name: 'created_at', udtName: 'timestamptz', isArray: false },
+                { name: 'updated_at', udtName: 'timestamp', isArray: false }
+            ]);
+            baseAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1 }] });
+        });
+
+        test('should detect conventional columns and honour configuration', () => {
+            expect(baseAccessor.getTimestampColumns('users')).toEqual({ createdAt: 'created_at', updatedAt: 'updated_at' });
+
+            baseAccessor.tableOptionsMap.set('public.users', { timestamps: { createdAt: 'inserted_at', updatedAt: false } });
+            expect(baseAccessor.getTimestampColumns('users')).toEqual({ createdAt: 'inserted_at', updatedAt: null });
+
+            baseAccessor.tableOptionsMap.set('public.users', { timestamps: false });
+            expect(baseAccessor.getTimestampColumns('users')).toEqual({ createdAt: null, updatedAt: null });
+        });
+
+        test('should leave conventional columns that are not timestamps alone', async () => {
+            baseAccessor.columnsMap.set('public.events', ['id', 'name', 'created_at']);
+            baseAccessor.columnInfoMap.set('public.events', [
+                { name: 'id', udtName: 'int4', isArray: false },
+                { name: 'name', udtName: 'text', isArray: false },
+                { name: 'created_at', udtName: 'int8', isArray: false }
+            ]);
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'x' });
+
+            expect(baseAccessor.getTimestampColumns('events')).toEqual({ createdAt: null, updatedAt: null });
+            await baseAccessor.create('events', { name: 'x' });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('("name")');
+            expect(params).toEqual(['x']);
+        });
+
+        test('should stamp both columns on create unless supplied', async () => {
+            const createdAt = new Date(0);
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'John', created_at: createdAt });
+
+            await baseAccessor.create('users', { name: 'John', createdAt });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('("name", "created_at", "updated_at")');
+            expect(params[1]).toBe(createdAt);
+            expect(params[2]).toBeInstanceOf(Date);
+            expect(params[2]).not.toBe(createdAt);
+        });
+
+        test('should stamp every row of createMany with the same time', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'John' });
+
+            await baseAccessor.createMany('users', [{ name: 'John' }, { name: 'John' }]);
+
+            const params = mockClient.query.mock.calls[0][1];
+            expect(params).toHaveLength(6);
+            expect(new Set(params.filter(param => param instanceof Date)).size).toBe(1);
+        });
+
+        test('should only stamp updated_at on update', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Jane' });
+
+            await baseAccessor.update('users', { name: 'Jane' }, { id: 1 });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('SET "name" = $1, "updated_at" = $2');
+            expect(params[1]).toBeInstanceOf(Date);
+        });
+
+        test('should never overwrite created_at on upsert conflicts', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, name: 'John', created_at: new Date(0) });
+
+            await baseAccessor.upsert('users', { id: 1, name: 'John' });
+            await baseAccessor.upsert('users', { id: 1, name: 'John' }, {}, { updateColumns: ['name', 'created_at'] });
+
+            for (const [sql] of mockClient.query.mock.calls) {
+                expect(sql).toContain('("id", "name", "created_at", "updated_at")');
+                expect(sql).toContain('DO UPDATE SET "name" = EXCLUDED."name", "updated_at" = EXCLUDED."updated_at"\n');
+            }
+        });
+    });
+
+    describe('optimistic locking', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.documents', ['id', 'body', 'version']);
+            baseAccessor.primaryKeyColumnsMap.set('public.documents', ['id']);
+            baseAccessor.tableOptionsMap.set('public.documents', { version: true });
+        });
+
+        test('should check and increment the version on update', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ body: 'x', version: 3 });
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1, body: 'x', version: 4 }] });
+
+            await baseAccessor.update('documents', { body: 'x', version: 3 }, { id: 1 });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('SET "body" = $1, "version" = "version" + 1');
+            expect(sql).toMatch(/AND "id" = \$2 AND "version" = \$3/);
+            expect(params).toEqual(['x', 1, 3]);
+        });
+
+        test('should throw StaleRecordError when no row is at the expected version', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ body: 'x' });
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            const error = await baseAccessor.update('documents', { body: 'x' }, { id: 1 }, { expectedVersion: 2 }).catch(err => err);
+
+            expect(error).toBeInstanceOf(StaleRecordError);
+            expect(error.message).toBe('Row of table documents matching {"id":1} is no longer at version 2');
+            expect(error.expectedVersion).toBe(2);
+        });
+
+        test('should only increment without an expected version', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ body: 'x' });
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            expect(await baseAccessor.update('documents', { body: 'x' }, { id: 1 })).toEqual([]);
+            expect(mockClient.query.mock.calls[0][0]).not.toContain('AND "version" =');
+        });
+
+        test('should compare versions on upsert conflicts', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, body: 'x' });
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1, body: 'x', version: 3, __upsert_inserted: false }] });
+
+            await baseAccessor.upsert('documents', { id: 1, body: 'x' }, {}, { expectedVersion: 2 });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('DO UPDATE SET "body" = EXCLUDED."body", "version" = "documents"."version" + 1');
+            expect(sql).toContain('AND "documents"."version" = EXCLUDED."version"');
+            expect(params).toEqual([1, 'x', 2]);
+
+            mockClient.query.mockResolvedValue({ rows: [] });
+            await expect(baseAccessor.upsert('documents', { id: 1, body: 'x' }, {}, { expectedVersion: 2 }))
+                .rejects.toThrow(StaleRecordError);
+        });
+
+        test('should not mistake a key returned in another text form for a stale row', async () => {
+            const id = '123E4567-E89B-12D3-A456-426614174000';
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ id, body: 'x', version: 2 });
+            mockClient.query.mockResolvedValue({ rows: [{ id: id.toLowerCase(), body: 'x', version: 3, __upsert_inserted: false }] });
+
+            expect(await baseAccessor.upsert('documents', {}, {})).toEqual({ id: id.toLowerCase(), body: 'x', version: 3 });
+        });
+
+        test('should name the upserted row that was not written', async () => {
+            mockObjectUtility.convertObjectToFlat
+                .mockReturnValueOnce({ id: 1, body: 'x', version: 1 })
+                .mockReturnValueOnce({ id: 2, body: 'y', version: 5 });
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1, body: 'x', version: 2, __upsert_inserted: false }] });
+
+            const error = await baseAccessor.upsertMany('documents', [{}, {}]).catch(err => err);
+
+            expect(error).toBeInstanceOf(StaleRecordError);
+            expect(error.conditions).toEqual({ id: 2 });
+            expect(error.expectedVersion).toBe(5);
+        });
+
+        test('should not report rows skipped by upsert conditions as stale', async () => {
+            baseAccessor.columnsMap.set('public.documents', ['id', 'body', 'status', 'version']);
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ id: 1, status: 'x', version: 2 });
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+            expect(await baseAccessor.upsert('documents', {}, { status: 'open' })).toBeUndefined();
+
+            const [sql, params] = mockClient.query.mock.calls[1];
+            expect(sql).toMatch(/SELECT "id"\s+FROM "public"."documents"\s+WHERE 1 = 1\s+AND \("id" = \$1 AND "version" = \$2\)/);
+            expect(params).toEqual([1, 2]);
+
+            mockClient.query.mockResolvedValue({ rows: [] });
+            const error = await baseAccessor.upsert('documents', {}, { status: 'open' }).catch(err => err);
+            expect(error).toBeInstanceOf(StaleRecordError);
+            expect(error.conditions).toEqual({ id: 1 });
+        });
+
+        test('should describe bigint keys in StaleRecordError', () => {
+            const error = new StaleRecordError('events', { id: 10n }, 2);
+
+            expect(error.message).toBe('Row of table events matching {"id":"10"} is no longer at version 2');
+            expect(error.conditions).toEqual({ id: 10n });
+        });
+
+        test('should require a version on every upserted row or none', async () => {
+            mockObjectUtility.convertObjectToFlat
+                .mockReturnValueOnce({ id: 1, body: 'x', version: 1 })
+                .mockReturnValueOnce({ id: 2, body: 'y' });
+
+            await expect(baseAccessor.upsertMany('documents', [{}, {}]))
+                .rejects.toThrow('Either every row or none must supply version column version for table documents');
+        });
+    });
+
+    describe('soft delete', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'deleted_at']);
+            baseAccessor.tableOptionsMap.set('public.users', { softDelete: true });
+            mockClient.query.mockResolvedValue({ rows: [] });
+        });
+
+        test('should check the soft delete column when adding a table', async () => {
+            jest.spyOn(baseAccessor, 'addTableColumns').mockResolvedValue();
+            jest.spyOn(baseAccessor, 'addUniqueTableColumns').mockResolvedValue();
+            jest.spyOn(baseAccessor, 'addPrimaryKeyColumns').mockResolvedValue();
+            jest.spyOn(baseAccessor, 'addForeignKeys').mockResolvedValue();
+
+            await expect(baseAccessor.addTable('users', { softDelete: 'removed_at' }))
+                .rejects.toThrow('softDelete column removed_at not found in table users');
+            expect(baseAccessor.getSoftDeleteColumn('users')).toBe('deleted_at');
+        });
+
+        test('should stamp the column instead of deleting', async () => {
+            await baseAccessor.delete('users', { id: 1 });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toMatch(/UPDATE "public"."users"\s+SET "deleted_at" = CURRENT_TIMESTAMP\s+WHERE 1 = 1\s+AND "id" = \$1 AND "deleted_at" IS NULL/);
+            expect(params).toEqual([1]);
+        });
+
+        test('should hide deleted rows from reads, updates and aggregates', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Jane' });
+            mockClient.query.mockResolvedValue({ rows: [{ count: '0', exists: false }] });
+
+            await baseAccessor.read('users', { name: 'John' });
+            await baseAccessor.update('users', { name: 'Jane' }, { id: 1 });
+            await baseAccessor.count('users');
+            await baseAccessor.exists('users', { id: 1 });
+
+            for (const [sql] of mockClient.query.mock.calls) {
+                expect(sql).toContain('AND "deleted_at" IS NULL');
+            }
+        });
+
+        test('should honour withDeleted and onlyDeleted', async () => {
+            await baseAccessor.read('users', {}, { withDeleted: true });
+            await baseAccessor.read('users', {}, { onlyDeleted: true });
+
+            expect(mockClient.query.mock.calls[0][0]).not.toContain('deleted_at');
+            expect(mockClient.query.mock.calls[1][0]).toContain('AND "deleted_at" IS NOT NULL');
+        });
+
+        test('should restore deleted rows', async () => {
+            await baseAccessor.restore('users', { id: 1 });
+
+            expect(mockClient.query.mock.calls[0][0]).toMatch(/SET "deleted_at" = NULL\s+WHERE 1 = 1\s+AND "id" = \$1 AND "deleted_at" IS NOT NULL/);
+            await expect(baseAccessor.restore('orders', { id: 1 }))
+                .rejects.toThrow('Table orders has no soft delete column. Call addTable() with { softDelete } first.');
+            await expect(baseAccessor.restore('users', {})).rejects.toThrow(UnsafeOperationError);
+        });
+
+        test('should remove rows with hardDelete', async () => {
+            await baseAccessor.hardDelete('users', { id: 1 });
+            await baseAccessor.hardDelete('users', {}, { allowAll: true, onlyDeleted: true });
+
+            expect(mockClient.query.mock.calls[0][0]).toMatch(/DELETE\s+FROM "public"."users"\s+WHERE 1 = 1\s+AND "id" = \$1\s+RETURNING/);
+            expect(mockClient.query.mock.calls[1][0]).toMatch(/WHERE 1 = 1\s+AND "deleted_at" IS NOT NULL/);
+        });
+    });
+
+    describe('primary key helpers', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name']);
+            baseAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
+            baseAccessor.columnsMap.set('public.memberships', ['org_id', 'user_id', 'role']);
+            baseAccessor.primaryKeyColumnsMap.set('public.memberships', ['org_id', 'user_id']);
+        });
+
+        test('should find a row by scalar key with LIMIT 1', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1, name: 'John' }] });
+
+            const row = await baseAccessor.findByPk('users', 1);
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toMatch(/WHERE 1 = 1\s+AND "id" = \$1/);
+            expect(sql).toContain('LIMIT $2');
+            expect(params).toEqual([1, 1]);
+            expect(row).toEqual({ id: 1, name: 'John' });
+        });
+
+        test('should find a row by composite key', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            expect(await baseAccessor.findByPk('memberships', { user_id: 2, org_id: 1 })).toBeNull();
+            expect(mockClient.query.mock.calls[0][0]).toContain('AND "org_id" = $1 AND "user_id" = $2');
+        });
+
+        test('should reject keys that do not match the primary key', async () => {
+            await expect(baseAccessor.findByPk('memberships', 1))
+                .rejects.toThrow('Table memberships has a composite primary key; pass an object with org_id, user_id');
+            await expect(baseAccessor.findByPk('memberships', { org_id: 1 }))
+                .rejects.toThrow('Primary key column user_id is missing for table memberships');
+            await expect(baseAccessor.findByPk('memberships', { org_id: 1, user_id: 2, role: 'x' }))
+                .rejects.toThrow(InvalidIdentifierError);
+            await expect(baseAccessor.findByPk('users', null)).rejects.toThrow('A primary key value is required for table users');
+            await expect(baseAccessor.findByPk('logs', 1)).rejects.toThrow('No primary key found for table logs. Call addTable() first.');
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should return the first row from findOne', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ id: 3, name: 'Ann' }] });
+
+            const row = await baseAccessor.findOne('users', { name: 'Ann' }, { orderBy: 'id', offset: 5 });
+
+            expect(row).toEqual({ id: 3, name: 'Ann' });
+            expect(mockClient.query.mock.calls[0][1]).toEqual(['Ann', 1]);
+        });
+
+        test('should update and delete a single row by key', async () => {
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Jane' });
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1, name: 'Jane' }] });
+
+            expect(await baseAccessor.updateByPk('users', 1, { name: 'Jane' })).toEqual({ id: 1, name: 'Jane' });
+            expect(mockClient.query.mock.calls[0][1]).toEqual(['Jane', 1]);
+
+            mockClient.query.mockResolvedValue({ rows: [] });
+            expect(await baseAccessor.deleteByPk('users', 1)).toBeNull();
+            expect(mockClient.query.mock.calls[1][0]).toMatch(/DELETE\s+FROM "public"."users"[\s\S]*AND "id" = \$1/);
+        });
+
+        test('should throw NotFoundError when rejectOnNotFound is set', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await expect(baseAccessor.findByPk('users', 9, { rejectOnNotFound: true })).rejects.toThrow(NotFoundError);
+
+            const strictAccessor = new PostgreSQLAccessor({ rejectOnNotFound: true });
+            await strictAccessor.initialize();
+            strictAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
+            const error = await strictAccessor.deleteByPk('users', 9).catch(err => err);
+            expect(error).toBeInstanceOf(NotFoundError);
+            expect(error.tableName).toBe('users');
+            expect(error.conditions).toEqual({ id: 9 });
+            expect(await strictAccessor.findOne('users', { id: 9 }, { rejectOnNotFound: false })).toBeNull();
+        });
+
+        test('should describe bigint keys in NotFoundError', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            const error = await baseAccessor.findByPk('users', 10n, { rejectOnNotFound: true }).catch(err => err);
+
+            expect(error).toBeInstanceOf(NotFoundError);
+            expect(error.message).toBe('No row found in table users for {"id":"10"}');
+            expect(error.conditions).toEqual({ id: 10n });
+        });
+    });
+
+    describe('hooks and middleware', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'secret']);
+            baseAccessor.columnsMap.set('public.orders', ['id']);
+        });
+
+        test('should let before hooks change data and conditions', async () => {
+            mockObjectUtility.convertObjectToFlat.mockImplementation(data => data);
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1 }] });
+            baseAccessor.addHook('beforeUpdate', (ctx) => {
+                ctx.data = { ...ctx.data, name: ctx.data.name.trim() };
+                ctx.conditions = { ...ctx.conditions, id: 2 };
+            });
+
+            await baseAccessor.update('users', { name: ' Jane ' }, { id: 1 });
+
+            expect(mockClient.query.mock.calls[0][1]).toEqual(['Jane', 2]);
+        });
+
+        test('should let after hooks replace the result', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1, secret: 'x' }] });
+            baseAccessor.addHook('afterRead', (ctx) => {
+                ctx.result = ctx.result.map(row => ({ ...row, secret: '***' }));
+            });
+
+            expect(await baseAccessor.read('users', { id: 1 })).toEqual([{ id: 1, secret: '***' }]);
+        });
+
+        test('should build readPage and iterate queries from hook options', async () => {
+            baseAccessor.primaryKeyColumnsMap.set('public.users', ['id']);
+            mockClient.query.mockResolvedValue({ rows: [] });
+            const cursorClient = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+            PGClientFactory.getPGClient.mockResolvedValue(cursorClient);
+            baseAccessor.addHook('beforeRead', (ctx) => {
+                ctx.options = { ...ctx.options, columns: ['id', 'name'] };
+            });
+
+            await baseAccessor.readPage('users', {}, { limit: 5 });
+            for await (const row of baseAccessor.iterate('users')) {
+                expect(row).toBeDefined();
+            }
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('SELECT "id", "name", "id"::text AS "__cursor_0"');
+            expect(cursorClient.query.mock.calls[1][0]).toMatch(/DECLARE \w+ NO SCROLL CURSOR FOR\s+SELECT "id", "name"\s+FROM/);
+        });
+
+        test('should scope counts and aggregates with beforeRead hooks', async () => {
+            mockClient.query.mockImplementation(async sql => (sql.includes('EXISTS')
+                ? { rows: [{ exists: true }] }
+                : { rows: [{ id: 1, count: '1', max: 1 }] }));
+            const hook = jest.fn((ctx) => {
+                ctx.conditions = { ...ctx.conditions, name: 'tenant' };
+            });
+            baseAccessor.addHook('beforeRead', hook);
+
+            const page = await baseAccessor.readPaginated('users', { id: 1 });
+            await baseAccessor.exists('users', { id: 1 });
+            await baseAccessor.max('users', 'id', { id: 1 });
+
+            expect(page.total).toBe(1);
+            expect(hook.mock.calls.map(([ctx]) => ctx.method)).toEqual(['read', 'count', 'exists', 'max']);
+            for (const [sql, params] of mockClient.query.mock.calls) {
+                expect(sql).toContain('AND "id" = $1 AND "name" = $2');
+                expect(params).toEqual([1, 'tenant']);
+            }
+        });
+
+        test('should scope hooks to a table and remove them', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+            const hook = jest.fn();
+            const remove = baseAccessor.addHook('beforeDelete', hook, { table: 'orders' });
+
+            await baseAccessor.delete('users', { id: 1 });
+            await baseAccessor.delete('orders', { id: 1 });
+            remove();
+            await baseAccessor.delete('orders', { id: 1 });
+
+            expect(hook).toHaveBeenCalledTimes(1);
+            expect(hook.mock.calls[0][0]).toMatchObject({ tableName: 'orders', method: 'delete', conditions: { id: 1 } });
+        });
+
+        test('should abort before the statement runs', async () => {
+            baseAccessor.addHook('beforeDelete', ctx => ctx.abort('Deleting users is disabled'));
+
+            await expect(baseAccessor.delete('users', { id: 1 })).rejects.toThrow(OperationAbortedError);
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown events', () => {
+            expect(() => baseAccessor.addHook('beforeSave', () => {})).toThrow('Unknown hook event: beforeSave');
+            expect(() => baseAccessor.use('nope')).toThrow('Middleware must be a function');
+        });
+
+        test('should run middleware around each statement', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1 }] });
+            const order = [];
+            baseAccessor.use(async (ctx, next) => {
+                order.push('outer');
+                ctx.query = `/* app */ ${ctx.query}`;
+                const result = await next();
+                return { ...result, rows: [...result.rows, { id: 2 }] };
+            });
+            baseAccessor.use(async (ctx, next) => {
+                order.push('inner');
+                return next();
+            });
+
+            const rows = await baseAccessor.query('SELECT 1', []);
+
+            expect(order).toEqual(['outer', 'inner']);
+            expect(mockClient.query).toHaveBeenCalledWith('/* app */ SELECT 1', []);
+            expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+        });
+
+        test('should let middleware abort without running the statement', async () => {
+            const remove = baseAccessor.use(ctx => ctx.abort('Read-only mode'));
+
+            await expect(baseAccessor.query('DELETE FROM users')).rejects.toThrow('Read-only mode');
+            remove();
+            mockClient.query.mockResolvedValue({ rows: [] });
+            await baseAccessor.query('SELECT 1');
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('readPage', () => {
+        const encode = values => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.events', ['tenant_id', 'id', 'created_at', 'name']);
+            baseAccessor.primaryKeyColumnsMap.set('public.events', ['id']);
+        });
+
+        test('should fetch the first page ordered by the primary key', async () => {
+            mockClient.query.mockResolvedValue({ rows: [1, 2, 3].map(id => ({ id, __cursor_0: String(id) })) });
+
+            const page = await baseAccessor.readPage('events', {}, { limit: 2 });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('SELECT *, "id"::text AS "__cursor_0"');
+            expect(sql).toContain('ORDER BY "id" ASC');
+            expect(params).toEqual([3]);
+            expect(page.rows).toEqual([{ id: 1 }, { id: 2 }]);
+            expect(page.nextCursor).toBe(encode(['2']));
+            expect(page.prevCursor).toBeNull();
+        });
+
+        test('should use keyset predicates with a primary key tiebreaker', async () => {
+            mockClient.query.mockResolvedValue({ rows: [{ created_at: '2024-01-01', id: 9, __cursor_0: '2024-01-01', __cursor_1: '9' }] });
+
+            const page = await baseAccessor.readPage('events', { name: 'x' }, {
+                after: encode(['2024-01-02', 10]),
+                limit: 2,
+                orderBy: { column: 'created_at', direction: 'DESC' }
+            });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('"name" = $1 AND ("created_at" < $2 OR ("created_at" = $3 AND "id" > $4))');
+            expect(sql).toContain('ORDER BY "created_at" DESC, "id" ASC');
+            expect(params).toEqual(['x', '2024-01-02', '2024-01-02', 10, 3]);
+            expect(page.nextCursor).toBeNull();
+            expect(page.prevCursor).toBe(encode(['2024-01-01', '9']));
+        });
+
+        test('should support composite primary keys', async () => {
+            baseAccessor.primaryKeyColumnsMap.set('public.events', ['tenant_id', 'id']);
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.readPage('events', {}, { after: encode([1, 5]), limit: 5 });
+
+            const [sql] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('("tenant_id" > $1 OR ("tenant_id" = $2 AND "id" > $3))');
+            expect(sql).toContain('ORDER BY "tenant_id" ASC, "id" ASC');
+        });
+
+        test('should page backwards and return rows in forward order', async () => {
+            mockClient.query.mockResolvedValue({ rows: [4, 3, 2].map(id => ({ id, __cursor_0: String(id) })) });
+
+            const page = await baseAccessor.readPage('events', {}, { before: encode([5]), limit: 2 });
+
+            const [sql] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('"id" < $1');
+            expect(sql).toContain('ORDER BY "id" DESC');
+            expect(page.rows).toEqual([{ id: 3 }, { id: 4 }]);
+            expect(page.prevCursor).toBe(encode(['3']));
+            expect(page.nextCursor).toBe(encode(['4']));
+        });
+
+        test('should read sort values as text next to an explicit column list', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.readPage('events', {}, { columns: ['name'] });
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('SELECT "name", "id"::text AS "__cursor_0"');
+        });
+
+        test('should keep full timestamp precision in cursors', async () => {
+            const orderBy = { column: 'created_at', direction: 'DESC' };
+            mockClient.query.mockResolvedValue({
+                rows: [{
+                    id: 9,
+                    created_at: new Date('2024-01-01T10:00:00.123Z'),
+                    __cursor_0: '2024-01-01 12:00:00.123456+02',
+                    __cursor_1: '9'
+                }, {
+                    id: 8,
+                    created_at: new Date('2024-01-01T10:00:00.123Z'),
+                    __cursor_0: '2024-01-01 12:00:00.1234+02',
+                    __cursor_1: '8'
+                }]
+            });
+
+            const first = await baseAccessor.readPage('events', {}, { limit: 1, orderBy });
+            expect(first.rows).toEqual([{ id: 9, created_at: new Date('2024-01-01T10:00:00.123Z') }]);
+            expect(mockClient.query.mock.calls[0][0]).toContain('"created_at"::text AS "__cursor_0", "id"::text AS "__cursor_1"');
+
+            mockClient.query.mockClear();
+            await baseAccessor.readPage('events', {}, { after: first.nextCursor, limit: 1, orderBy });
+
+            const [sql, params] = mockClient.query.mock.calls[0];
+            expect(sql).toContain('("created_at" < $1 OR ("created_at" = $2 AND "id" > $3))');
+            expect(params).toEqual(['2024-01-01 12:00:00.123456+02', '2024-01-01 12:00:00.123456+02', '9', 2]);
+        });
+
+        test('should reject tables without a primary key', async () => {
+            baseAccessor.primaryKeyColumnsMap.set('public.events', []);
+
+            await expect(baseAccessor.readPage('events')).rejects.toThrow('No primary key found for table events');
+        });
+
+        test('should reject malformed cursors', async () => {
+            await expect(baseAccessor.readPage('events', {}, { after: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+            await expect(baseAccessor.readPage('events', {}, { after: encode([1, 2]) })).rejects.toThrow('Invalid cursor');
+        });
+    });
+
+    describe('iterate', () => {
+        let cursorClient;
+        let tableRows;
+
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            tableRows = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }];
+            let position = 0;
+            cursorClient = {
+                query: jest.fn(async (sql) => {
+                    const fetch = sql.match(/^FETCH (\d+)/);
+                    if (fetch) {
+                        const rows = tableRows.slice(position, position + Number(fetch[1]));
+                        position += rows.length;
+                        return { rows };
+                    }
+                    return { rows: [] };
+                }),
+                release: jest.fn()
+            };
+            PGClientFactory.getPGClient.mockResolvedValue(cursorClient);
+        });
+
+        const statements = () => cursorClient.query.mock.calls.map(call => call[0].replace(/accessor_cursor_\d+/, 'c'));
+
+        test('should yield every row through a server-side cursor', async () => {
+            const rows = [];
+            for await (const row of baseAccessor.iterate('users', { active: true }, { batchSize: 2 })) {
+                rows.push(row);
+            }
+
+            expect(rows).toEqual(tableRows);
+            expect(statements()).toEqual([
+                'BEGIN READ ONLY',
+                expect.stringMatching(/^DECLARE c NO SCROLL CURSOR FOR[\s\S]*FROM "public"."users"[\s\S]*"active" = \$1/),
+                'FETCH 2 FROM c',
+                'FETCH 2 FROM c',
+                'FETCH 2 FROM c',
+                'CLOSE c',
+                'COMMIT'
+            ]);
+            expect(cursorClient.query.mock.calls[1][1]).toEqual([true]);
+            expect(cursorClient.release).toHaveBeenCalledWith(undefined);
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should yield batches when requested', async () => {
+            const batches = [];
+            for await (const batch of baseAccessor.iterate('users', {}, { batchSize: 3, batch: true })) {
+                batches.push(batch);
+            }
+
+            expect(batches).toEqual([tableRows.slice(0, 3), tableRows.slice(3)]);
+        });
+
+        test('should roll back and release the connection when the consumer stops early', async () => {
+            for await (const row of baseAccessor.iterate('users', {}, { batchSize: 2 })) {
+                if (row.id === 1) {
+                    break;
+                }
+            }
+
+            expect(statements()).toEqual(['BEGIN READ ONLY', expect.stringContaining('DECLARE'), 'FETCH 2 FROM c', 'ROLLBACK']);
+            expect(cursorClient.release).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reuse the transaction connection inside a transaction', async () => {
+            const rows = await baseAccessor.transaction(async (tx) => {
+                const collected = [];
+                for await (const row of tx.iterate('users', {}, { batchSize: 10 })) {
+                    collected.push(row);
+                }
+                return collected;
+            });
+
+            expect(rows).toEqual(tableRows);
+            expect(PGClientFactory.getPGClient).toHaveBeenCalledTimes(1);
+            expect(statements()).toEqual(['BEGIN', expect.stringContaining('DECLARE'), 'FETCH 10 FROM c', 'CLOSE c', 'COMMIT']);
+        });
+
+        test('should reject invalid batch sizes', async () => {
+            await expect(baseAccessor.iterate('users', {}, { batchSize: 0 }).next())
+                .rejects.toThrow('batchSize must be a positive integer');
+        });
+
+        test('should expose rows as an object-mode readable stream', async () => {
+            const rows = [];
+            for await (const row of baseAccessor.readStream('users', {}, { batchSize: 4 })) {
+                rows.push(row);
+            }
+
+            expect(rows).toEqual(tableRows);
+        });
+    });
+
+    describe('delete', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+        });
+
+        test('should execute delete query', async () => {
+            const conditions = { id: 1 };
+            const mockRows = [{ id: 1, name: 'John' }];
+            
+            mockClient.query.mockResolvedValue({ rows: mockRows });
+
+            const result = await baseAccessor.delete('users', conditions);
+
+            expect(mockClient.query).toHaveBeenCalledWith(
+                expect.stringMatching(/DELETE[\s\S]*FROM "public"."users"/),
+                [1]
+            );
+            expect(result).toEqual(mockRows);
+        });
+
+        test('should refuse to run without effective conditions', async () => {
+            await expect(baseAccessor.delete('users', {})).rejects.toThrow(UnsafeOperationError);
+            await expect(baseAccessor.delete('users', { id: undefined, $and: [] }))
+                .rejects.toThrow('Refusing to delete every row of table users: no conditions given. Pass { allowAll: true } to delete all rows.');
+
+            baseAccessor.columnsMap.set('public.users', ['id', 'name']);
+            mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Jane' });
+            await expect(baseAccessor.update('users', { name: 'Jane' }, { id: null }))
+                .rejects.toThrow('Refusing to update every row of table users');
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should refuse groups and negations that narrow nothing', async () => {
+            for (const conditions of [
+                { $or: [{ id: undefined }] },
+                { $and: [{}] },
+                { id: { $notIn: [] } },
+                { $not: { id: { $in: [] } } },
+                { $or: [{ status: { $notIn: [] } }, { id: 5 }] }
+            ]) {
+                await expect(baseAccessor.delete('users', conditions)).rejects.toThrow(UnsafeOperationError);
+            }
+            expect(mockClient.query).not.toHaveBeenCalled();
+        });
+
+        test('should allow conditions that match nothing', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.delete('users', { id: { $in: [] } });
+
+            expect(mockClient.query.mock.calls[0][0]).toMatch(/WHERE 1 = 1\s+AND FALSE/);
+        });
+
+        test('should run without conditions when allowAll is set', async () => {
+            mockClient.query.mockResolvedValue({ rows: [] });
+
+            await baseAccessor.delete('users', {}, { allowAll: true });
+
+            expect(mockClient.query.mock.calls[0][0]).toMatch(/WHERE 1 = 1\s+RETURNING/);
+        });
+
+        describe('maxAffectedRows', () => {
+            let txClient;
+
+            beforeEach(() => {
+                txClient = { query: jest.fn(), release: jest.fn() };
+                PGClientFactory.getPGClient.mockResolvedValue(txClient);
+            });
+
+            test('should commit when within the limit', async () => {
+                txClient.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+                const rows = await baseAccessor.delete('users', { id: { $lt: 5 } }, { maxAffectedRows: 1 });
+
+                expect(rows).toEqual([{ id: 1 }]);
+                expect(txClient.query.mock.calls.map(call => call[0].trim().split(/\s+/)[0])).toEqual(['BEGIN', 'DELETE', 'COMMIT']);
+            });
+
+            test('should roll back and throw when the limit is exceeded', async () => {
+                txClient.query.mockImplementation(async query => ({ rows: query.includes('DELETE') ? [{ id: 1 }, { id: 2 }] : [] }));
+
+                const error = await baseAccessor.delete('users', { id: { $lt: 5 } }, { maxAffectedRows: 1 }).catch(err => err);
+
+                expect(error).toBeInstanceOf(UnsafeOperationError);
+                expect(error.message).toBe('Statement on table users affected 2 rows, more than maxAffectedRows (1); rolled back');
+                expect(error.rowCount).toBe(2);
+                expect(txClient.query.mock.calls[2][0]).toBe('ROLLBACK');
+            });
+
+            test('should reject invalid limits', async () => {
+                await expect(baseAccessor.delete('users', { id: 1 }, { maxAffectedRows: -1 }))
+                    .rejects.toThrow('maxAffectedRows must be a non-negative integer');
+                expect(PGClientFactory.getPGClient).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('CSV import and export', () => {
+        let copyClient;
+
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            baseAccessor.columnsMap.set('public.users', ['id', 'name', 'email']);
+            copyClient = { query: jest.fn(), release: jest.fn() };
+            PGClientFactory.getPGClient.mockResolvedValue(copyClient);
+        });
+
+        test('should stream CSV into COPY FROM STDIN and report the row count', async () => {
+            const received = [];
+            copyClient.query.mockImplementation(() => {
+                const stream = new Writable({
+                    write(chunk, encoding, callback) {
+                        received.push(chunk.toString());
+                        callback();
+                    }
+                });
+                stream.on('finish', () => {
+                    stream.rowCount = 2;
+                });
+                return stream;
+            });
+
+            const result = await baseAccessor.importCsv('users', Readable.from(['name;email\n', 'a;a@x\nb;b@x\n']), {
+                columns: ['name', 'email'],
+                delimiter: ';',
+                null: 'NULL'
+            });
+
+            expect(copyClient.query).toHaveBeenCalledWith({
+                copyFrom: 'COPY "public"."users" ("name", "email") FROM STDIN WITH (FORMAT csv, HEADER true, DELIMITER \';\', NULL \'NULL\')'
+            });
+            expect(received.join('')).toBe('name;email\na;a@x\nb;b@x\n');
+            expect(result).toEqual({ rowCount: 2 });
+            expect(copyClient.release).toHaveBeenCalledWith(undefined);
+        });
+
+        test('should validate the column mapping against discovered columns', async () => {
+            await expect(baseAccessor.importCsv('users', Readable.from([]), { columns: ['name', 'password'] }))
+                .rejects.toThrow(InvalidIdentifierError);
+            await expect(baseAccessor.importCsv('orders', Readable.from([])))
+                .rejects.toThrow('Table orders columns not found. Call addTable() first.');
+            await expect(baseAccessor.importCsv('users', Readable.from([]), { delimiter: '||' }))
+                .rejects.toThrow('delimiter must be a single character');
+        });
+
+        test('should release a failed connection with the error', async () => {
+            const error = new Error('invalid input syntax');
+            copyClient.query.mockImplementation(() => new Writable({
+                write(chunk, encoding, callback) {
+                    callback(error);
+                }
+            }));
+
+            await expect(baseAccessor.importCsv('users', Readable.from(['x\n']))).rejects.toThrow('invalid input syntax');
+            expect(copyClient.release).toHaveBeenCalledWith(error);
+        });
+
+        test('should export matching rows with COPY TO STDOUT', async () => {
+            const written = [];
+            copyClient.query.mockImplementation(() => {
+                const stream = Readable.from(['id,name\n', '1,a\n']);
+                stream.rowCount = 1;
+                return stream;
+            });
+            const output = new Writable({
+                write(chunk, encoding, callback) {
+                    written.push(chunk.toString());
+                    callback();
+                }
+            });
+
+            const result = await baseAccessor.exportCsv('users', { name: "O'Hara", id: { $gt: 5 } }, output, {
+                columns: ['id', 'name'],
+                orderBy: 'id',
+                header: false
+            });
+
+            const { copyTo } = copyClient.query.mock.calls[0][0];
+            expect(copyTo).toMatch(/^COPY \(\s+SELECT "id", "name"\s+FROM "public"."users"/);
+            expect(copyTo).toContain('"name" = \'O\'\'Hara\' AND "id" > \'5\'');
+            expect(copyTo).toContain('ORDER BY "id" ASC');
+            expect(copyTo).toMatch(/\) TO STDOUT WITH \(FORMAT csv, HEADER false\)$/);
+            expect(written.join('')).toBe('id,name\n1,a\n');
+            expect(result).toEqual({ rowCount: 1 });
+        });
+
+        test('should leave placeholder-like text in quoted literals alone', async () => {
+            copyClient.query.mockImplementation(() => Readable.from([]));
+            const output = new Writable({ write: (chunk, encoding, callback) => callback() });
+
+            await baseAccessor.exportCsv('users', { 'name->>$1': "x' OR 1=1 --" }, output);
+
+            const { copyTo } = copyClient.query.mock.calls[0][0];
+            expect(copyTo).toContain('"name" ->> \'$1\' = \'x\'\' OR 1=1 --\'');
+        });
+
+        test('should use the transaction connection inside a transaction', async () => {
+            const txClient = { query: jest.fn(), release: jest.fn() };
+            txClient.query.mockImplementation((query) => {
+                if (typeof query === 'string') {
+                    return Promise.resolve({ rows: [] });
+                }
+                const stream = new Writable({ write: (chunk, encoding, callback) => callback() });
+                stream.rowCount = 0;
+                return stream;
+            });
+            PGClientFactory.getPGClient.mockResolvedValue(txClient);
+
+            await baseAccessor.transaction(tx => tx.importCsv('users', Readable.from(['id\n'])));
+
+            expect(PGClientFactory.getPGClient).toHaveBeenCalledTimes(1);
+            expect(txClient.query).toHaveBeenCalledWith({ copyFrom: expect.stringContaining('COPY "public"."users"') });
+        });
+    });
+
+    describe('query', () => {
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+        });
+
+        test('should execute custom query', async () => {
+            const customQuery = 'SELECT COUNT(*) FROM users';
+            const mockRows = [{ count: 5 }];
+            
+            mockClient.query.mockResolvedValue({ rows: mockRows });
+
+            const result = await baseAccessor.query(customQuery);
+
+            expect(mockClient.query).toHaveBeenCalledWith(customQuery, []);
+            expect(result).toEqual(mockRows);
+        });
+
+        test('should execute query with parameters', async () => {
+            const customQuery = 'SELECT * FROM users WHERE id = $1';
+            const params = [1];
+            const mockRows = [{ id: 1, name: 'John' }];
+            
+            mockClient.query.mockResolvedValue({ rows: mockRows });
+
+            const result = await baseAccessor.query(customQuery, params);
+
+            expect(mockClient.query).toHaveBeenCalledWith(customQuery, params);
+            expect(result).toEqual(mockRows);
+        });
+    });
+
+    describe('logging', () => {
+        test('should not log anything by default', async () => {
+            const debugSpy = jest.spyOn(console, 'debug');
+            await baseAccessor.initialize();
+            mockClient.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+            await baseAccessor.query('SELECT * FROM users WHERE id = $1', [1]);
+
+            expect(debugSpy).not.toHaveBeenCalled();
+        });
+
+        describe('redaction', () => {
+            let logger;
+            let accessor;
+
+            beforeEach(async () => {
+                logger = { debug: jest.fn(), error: jest.fn() };
+                accessor = new PostgreSQLAccessor({ logger, redact: ['email', 'password'] });
+                await accessor.initialize();
+                accessor.columnsMap.set('public.users', ['id', 'name', 'email', 'data']);
+                accessor.columnInfoMap.set('public.users', [
+                    { name: 'id', udtName: 'int4', isArray: false },
+                    { name: 'name', udtName: 'text', isArray: false },
+                    { name: 'email', udtName: 'text', isArray: false },
+                    { name: 'data', udtName: 'jsonb', isArray: false }
+                ]);
+                mockClient.query.mockResolvedValue({ rows: [{ id: 1 }], rowCount: 1 });
+            });
+
+            const loggedParams = () => logger.debug.mock.calls[logger.debug.mock.calls.length - 1][1].params;
+
+            test('should redact raw statement parameters unless their columns are given', async () => {
+                await accessor.query('UPDATE users SET password = $1 WHERE id = $2', ['hunter2', 1]);
+
+                expect(logger.debug).toHaveBeenCalledWith('Query executed', expect.objectContaining({
+                    query: 'UPDATE users SET password = $1 WHERE id = $2',
+                    params: ['[REDACTED]', '[REDACTED]'],
+                    rowCount: 1
+                }));
+                expect(JSON.stringify(logger.debug.mock.calls)).not.toContain('hunter2');
+
+                await accessor.query('SELECT * FROM users WHERE lower(email) = $1 AND id = $2', ['a@b.c', 1], { paramColumns: ['email', null] });
+
+                expect(loggedParams()).toEqual(['[REDACTED]', 1]);
+            });
+
+            test('should redact built statements by the columns their parameters were bound to', async () => {
+                mockObjectUtility.convertObjectToFlat.mockReturnValue({ name: 'Jane', email: 'jane@example.com' });
+
+                await accessor.update('users', { name: 'Jane', email: 'jane@example.com' }, { id: 1, email: { $in: ['a@b.c'] } });
+                expect(loggedParams()).toEqual(['Jane', '[REDACTED]', 1, '[REDACTED]']);
+
+                await accessor.read('users', { 'data->>password': 'x', name: 'Jane' }, { limit: 5 });
+                expect(loggedParams()).toEqual(['[REDACTED]', 'Jane', 5]);
+
+                await accessor.aggregate('users', { groupBy: 'name', metrics: { last: { max: 'email' } }, having: { last: { $gt: 'a' }, name: 'Jane' } });
+                expect(loggedParams()).toEqual(['[REDACTED]', 'Jane']);
+            });
+
+            test('should redact every parameter that middleware replaced', async () => {
+                accessor.use((ctx, next) => {
+                    ctx.params = [...ctx.params];
+                    return next();
+                });
+
+                await accessor.read('users', { name: 'Jane' });
+
+                expect(loggedParams()).toEqual(['[REDACTED]']);
+            });
+        });
+
+        test('should log discovery errors through the logger', async () => {
+            const logger = { error: jest.fn() };
+            const accessor = new PostgreSQLAccessor({ logger, logLevel: 'error' });
+            await accessor.initialize();
+            const error = new Error('permission denied');
+            mockClient.query.mockRejectedValue(error);
+
+            await expect(accessor.addTableColumns('users')).rejects.toThrow('permission denied');
+
+            expect(logger.error).toHaveBeenCalledWith('Error retrieving column names', { error });
+        });
+    });
+
+    describe('transaction', () => {
+        let txClient;
+
+        beforeEach(async () => {
+            await baseAccessor.initialize();
+            txClient = {
+                query: jest.fn().mockResolvedValue({ rows: [] }),
+                release: jest.fn()
+            };
+            PGClientFactory.getPGClient.mockResolvedValue(txClient);
+        });
+
+        test('should commit and return the callback result', async () => {
+            const result = await baseAccessor.transaction(async (tx) => {
+                await tx.query('SELECT 1');
+                return 'done';
+            });
+
+            expect(result).toBe('done');
+            expect(txClient.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'SELECT 1', 'COMMIT']);
+            expect(mockClient.query).not.toHaveBeenCalled();
+            expect(txClient.release).toHaveBeenCalledWith(undefined);
+        });
+
+        test('should roll back and rethrow when the callback throws', async () => {
+            await expect(baseAccessor.transaction(async () => {
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+
+            expect(txClient.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'ROLLBACK']);
+            expect(txClient.release).toHaveBeenCalledWith(undefined);
+        });
+
+        test('should destroy the connection when rollback fails', async () => {
+            const rollbackError = new Error('rollback failed');
+            txClient.query.mockImplementation(async (sql) => {
+                if (sql === 'ROLLBACK') {
+                    throw rollbackError;
+                }
+                return { rows: [] };
+            });
+
+            await expect(baseAccessor.transaction(async () => {
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+
+            expect(txClient.release).toHaveBeenCalledWith(rollbackError);
+        });
+
+        test('should bind CRUD methods to the transaction connection', async () => {
+            await baseAccessor.transaction(async (tx) => {
+                expect(tx.client).toBe(txClient);
+                expect(tx.columnsMap).toBe(baseAccessor.columnsMap);
+                await tx.read('users', { id: 1 });
+            });
+
+            expect(txClient.query).toHaveBeenCalledWith(
+                expect.stringMatching(/SELECT[\s\S]*FROM "public"."users"/),
+                [1]
+            );
+            expect(baseAccessor.client).toBe(mockClient);
+        });
+
+        test('should use savepoints for nested transactions', async () => {
+            await baseAccessor.transaction(async (tx) => {
+                await tx.transaction(async (inner) => {
+                    await inner.query('SELECT 1');
+                });
+                await expect(tx.transaction(async () => {
+                    throw new Error('inner failure');
+                })).rejects.toThrow('inner failure');
+            });
+
+            expect(txClient.query.mock.calls.map(call => call[0])).toEqual([
+                'BEGIN',
+                'SAVEPOINT sp_2',
+                'SELECT 1',
+                'RELEASE SAVEPOINT sp_2',
+                'SAVEPOINT sp_2',
+                'ROLLBACK TO SAVEPOINT sp_2',
+                'COMMIT'
+            ]);
+            expect(PGClientFactory.getPGClient).toHaveBeenCalledTimes(1);
+        });
+
+        test('should rethrow the original error when rolling back to a savepoint fails', async () => {
+            const connectionError = new Error('connection terminated');
+            txClient.query.mockImplementation(async (sql) => {
+                if (sql.startsWith('ROLLBACK')) {
+                    throw connectionError;
+                }
+                return { rows: [] };
+            });
+
+            await expect(baseAccessor.transaction(async (tx) => {
+                await tx.transaction(async () => {
+                    throw new Error('inner failure');
+                });
+            })).rejects.toThrow('inner failure');
+
+            expect(txClient.query.mock.calls.map(call => call[0])).toEqual([
+                'BEGIN',
+                'SAVEPOINT sp_2',
+                'ROLLBACK TO SAVEPOINT sp_2',
+                'ROLLBACK'
+            ]);
+            expect(txClient.release).toHaveBeenCalledWith(connectionError);
+        });
+
+        test('should apply isolation level and read-only mode', async () => {
+            await baseAccessor.transaction(async () => {}, { isolationLevel: 'serializable', readOnly: true });
+
+            expect(txClient.query).toHaveBeenCalledWith('BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY', []);
+        });
+
+        test('should reject unknown isolation levels before connecting', async () => {
+            await expect(baseAccessor.transaction(async () => {}, { isolationLevel: 'CHAOS' }))
+                .rejects.toThrow('Invalid isolation level: CHAOS');
+
+            expect(PGClientFactory.getPGClient).not.toHaveBeenCalled();
+        });
+
+        test('should reject isolation options on nested transactions', async () => {
+            await expect(baseAccessor.transaction(async (tx) => {
+                await tx.transaction(async () => {}, { readOnly: true });
+            })).rejects.toThrow('Isolation level and read-only mode can only be set on the outermost transaction');
         });
     });
 
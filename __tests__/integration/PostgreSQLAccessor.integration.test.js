@@ -38,7 +38,7 @@ describe('PostgreSQLAccessor Integration Tests', () => {
         test('should discover table columns', async () => {
             await baseAccessor.addTable('users');
             
-            const columns = baseAccessor.columnsMap.get('users');
+            const columns = baseAccessor.columnsMap.get('public.users');
             expect(columns).toBeDefined();
             expect(columns).toContain('id');
             expect(columns).toContain('email');
@@ -48,7 +48,7 @@ describe('PostgreSQLAccessor Integration Tests', () => {
         test('should discover unique constraints', async () => {
             await baseAccessor.addTable('users');
             
-            const uniqueColumns = baseAccessor.uniqueColumnsMap.get('users');
+            const uniqueColumns = baseAccessor.uniqueColumnsMap.get('public.users');
             expect(uniqueColumns).toBeDefined();
             expect(uniqueColumns).toContain('email');
         });
@@ -56,7 +56,7 @@ describe('PostgreSQLAccessor Integration Tests', () => {
         test('should discover primary key constraints', async () => {
             await baseAccessor.addTable('users');
             
-            const primaryKeyColumns = baseAccessor.primaryKeyColumnsMap.get('users');
+            const primaryKeyColumns = baseAccessor.primaryKeyColumnsMap.get('public.users');
             expect(primaryKeyColumns).toBeDefined();
             expect(primaryKeyColumns).toContain('id');
         });
@@ -0,0 +1,91 @@
+const LogUtility = require('../../src/utils/LogUtility');
+
+describe('LogUtility', () => {
+    let logger;
+
+    beforeEach(() => {
+        logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    });
+
+    describe('levels', () => {
+        test('should log nothing without a logger', () => {
+            const logUtility = new LogUtility();
+
+            expect(logUtility.isEnabled('error')).toBe(false);
+            expect(() => logUtility.log('error', 'ignored')).not.toThrow();
+        });
+
+        test('should pass messages at or above the configured level', () => {
+            const logUtility = new LogUtility({ logger, logLevel: 'warn' });
+
+            logUtility.log('info', 'skipped');
+            logUtility.log('error', 'Lost connection', { code: 'ECONNRESET' });
+
+            expect(logger.info).not.toHaveBeenCalled();
+            expect(logger.error).toHaveBeenCalledWith('Lost connection', { code: 'ECONNRESET' });
+        });
+
+        test('should call function loggers with the level first', () => {
+            const log = jest.fn();
+
+            new LogUtility({ logger: log }).log('debug', 'Query executed', { rowCount: 1 });
+
+            expect(log).toHaveBeenCalledWith('debug', 'Query executed', { rowCount: 1 });
+        });
+
+        test('should reject unknown levels', () => {
+            expect(() => new LogUtility({ logger, logLevel: 'verbose' })).toThrow('Invalid log level: verbose');
+        });
+    });
+
+    describe('logQuery', () => {
+        test('should log the statement, parameters and row count but not the rows', () => {
+            new LogUtility({ logger }).logQuery('SELECT * FROM "users" WHERE "id" = $1', [1], { durationMs: 3, rowCount: 1 });
+
+            expect(logger.debug).toHaveBeenCalledWith('Query executed', {
+                query: 'SELECT * FROM "users" WHERE "id" = $1',
+                params: [1],
+                durationMs: 3,
+                rowCount: 1
+            });
+        });
+
+        test('should log failures with the error message', () => {
+            new LogUtility({ logger }).logQuery('SELECT 1', [], { durationMs: 1, error: new Error('boom') });
+
+            expect(logger.debug).toHaveBeenCalledWith('Query failed', expect.objectContaining({ error: 'boom' }));
+        });
+    });
+
+    describe('redaction', () => {
+        const logUtility = new LogUtility({ logger: {}, redact: ['password', /token|secret/i] });
+
+        test('should redact parameters by their recorded column', () => {
+            const params = ['a', 'p1', 't1', 2, 'x'];
+
+            expect(logUtility.redactParams(params, ['name', 'PASSWORD', 'api_token', 'id', 'client_secret']))
+                .toEqual(['a', '[REDACTED]', '[REDACTED]', 2, '[REDACTED]']);
+        });
+
+        test('should redact JSON paths by their column or any key along them', () => {
+            expect(logUtility.redactParams(['a', 'b', 'c'], ['data->>password', 'password->>k', 'data->profile->>name']))
+                .toEqual(['[REDACTED]', '[REDACTED]', 'c']);
+        });
+
+        test('should keep values bound to no column', () => {
+            expect(logUtility.redactParams(['x', 10], ['password', null])).toEqual(['[REDACTED]', 10]);
+        });
+
+        test('should redact every parameter when the columns are not known', () => {
+            expect(logUtility.redactParams(['a@b.c', 1])).toEqual(['[REDACTED]', '[REDACTED]']);
+            expect(logUtility.redactParams(['a@b.c', 1], ['email'])).toEqual(['[REDACTED]', '[REDACTED]']);
+            expect(logUtility.redactParams(['a@b.c'], [undefined])).toEqual(['[REDACTED]']);
+        });
+
+        test('should leave parameters alone without redaction rules', () => {
+            const params = [1];
+
+            expect(new LogUtility({ logger }).redactParams(params)).toBe(params);
+        });
+    });
+});
@@ -115,10 +115,96 @@ describe('ObjectUtility', () => {
             expect(() => objectUtility.convertObjectToFlat(123)).toThrow('Input must be an object');
         });
 
+        test('should keep dates and buffers as values', () => {
+            const createdAt = new Date();
+            const avatar = Buffer.from('png');
+
+            expect(objectUtility.convertObjectToFlat({ createdAt, avatar })).toEqual({ created_at: createdAt, avatar });
+        });
+
+        test('should keep objects intact where keepIntact says so', () => {
+            const input = { profile: { theme: { dark: true } }, address: { city: 'Paris' } };
+
+            expect(objectUtility.convertObjectToFlat(input, '', key => key === 'profile')).toEqual({
+                profile: { theme: { dark: true } },
+                address_city: 'Paris'
+            });
+        });
+
         test('should handle object with parent key', () => {
             const input = { firstName: 'John' };
             const expected = { user_first_name: 'John' };
             expect(objectUtility.convertObjectToFlat(input, 'user')).toEqual(expected);
         });
     });
+
+    describe('snakeToCamelCase', () => {
+        test('should convert snake_case to camelCase', () => {
+            expect(objectUtility.snakeToCamelCase('first_name')).toBe('firstName');
+            expect(objectUtility.snakeToCamelCase('user123_name')).toBe('user123Name');
+            expect(objectUtility.snakeToCamelCase('name')).toBe('name');
+        });
+
+        test('should invert camelToSnakeCase', () => {
+            for (const key of ['firstName', 'emailAddress', 'user123Name', 'Name']) {
+                expect(objectUtility.snakeToCamelCase(objectUtility.camelToSnakeCase(key))).toBe(key);
+            }
+        });
+
+        test('should throw error for non-string input', () => {
+            expect(() => objectUtility.snakeToCamelCase(null)).toThrow('Input must be a string');
+        });
+    });
+
+    describe('convertFlatToObject', () => {
+        test('should camelCase keys without a shape', () => {
+            const createdAt = new Date();
+            const input = { first_name: 'John', created_at: createdAt, tags: ['a'] };
+
+            expect(objectUtility.convertFlatToObject(input)).toEqual({ firstName: 'John', createdAt, tags: ['a'] });
+        });
+
+        test('should nest prefixes named in the shape', () => {
+            const input = {
+                id: 1,
+                user_first_name: 'John',
+                user_profile_bio: 'Hi',
+                user_profile_avatar_url: 'a.png'
+            };
+
+            expect(objectUtility.convertFlatToObject(input, { user: { profile: true } })).toEqual({
+                id: 1,
+                user: {
+                    firstName: 'John',
+                    profile: { bio: 'Hi', avatarUrl: 'a.png' }
+                }
+            });
+        });
+
+        test('should mirror convertObjectToFlat', () => {
+            const input = { email: 'j@example.com', user: { firstName: 'John', profile: { lastName: 'Doe' } } };
+            const flat = objectUtility.convertObjectToFlat(input);
+
+            expect(objectUtility.convertFlatToObject(flat, { user: { profile: true } })).toEqual(input);
+        });
+
+        test('should prefer the longest matching prefix', () => {
+            const input = { user_name: 'a', user_profile_bio: 'b' };
+
+            expect(objectUtility.convertFlatToObject(input, { user: true, userProfile: true })).toEqual({
+                user: { name: 'a' },
+                userProfile: { bio: 'b' }
+            });
+        });
+
+        test('should reject a prefix that is also a column', () => {
+            expect(() => objectUtility.convertFlatToObject({ user: 1, user_name: 'a' }, { user: true }))
+                .toThrow('Cannot nest user_name under user, which already holds a value');
+        });
+
+        test('should handle null and non-object input', () => {
+            expect(objectUtility.convertFlatToObject(null)).toEqual({});
+            expect(() => objectUtility.convertFlatToObject('row')).toThrow('Input must be an object');
+        });
+    });
 });
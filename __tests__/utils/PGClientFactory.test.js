@@ -2,7 +2,7 @@ const PGClientFactory = require('../../src/utils/PGClientFactory');
 
 // Mock pg module
 jest.mock('pg', () => ({
-    Client: jest.fn()
+    Pool: jest.fn()
 }));
 
 // Mock dotenv
@@ -11,29 +11,39 @@ jest.mock('dotenv', () => ({
 }));
 
 describe('PGClientFactory', () => {
-    let mockClient;
-    let mockQuery;
+    let mockPool;
+    let mockPooledClient;
+    let poolListeners;
+    let Pool;
 
     beforeEach(() => {
         // Clear all mocks
         jest.clearAllMocks();
-        
-        // Setup mock client
-        mockQuery = jest.fn();
-        mockClient = {
-            connect: jest.fn(),
-            query: mockQuery,
-            end: jest.fn(),
-            _connected: false
+
+        // Setup mock pooled client
+        mockPooledClient = {
+            query: jest.fn().mockResolvedValue({ rows: [] }),
+            release: jest.fn()
+        };
+
+        // Setup mock pool
+        poolListeners = {};
+        mockPool = {
+            connect: jest.fn().mockResolvedValue(mockPooledClient),
+            query: jest.fn(),
+            end: jest.fn().mockResolvedValue(),
+            on: jest.fn((event, listener) => {
+                poolListeners[event] = listener;
+            }),
+            totalCount: 0,
+            idleCount: 0,
+            waitingCount: 0
         };
-        
-        // Mock Client constructor
-        const { Client } = require('pg');
-        Client.mockImplementation(() => mockClient);
-        
-        // Make Client available globally for tests
-        global.Client = Client;
-        
+
+        // Mock Pool constructor
+        Pool = require('pg').Pool;
+        Pool.mockImplementation(() => mockPool);
+
         // Mock environment variables
         process.env.DB_USER = 'testuser';
         process.env.DB_PASSWORD = 'testpass';
@@ -41,120 +51,139 @@ describe('PGClientFactory', () => {
         process.env.DB_PORT = '5432';
         process.env.DB_NAME = 'testdb';
         process.env.DB_SCHEMA = 'public';
-        
-        // Reset static client
-        PGClientFactory.client = null;
+        delete process.env.DB_MAX_CONNECTIONS;
+        delete process.env.DB_IDLE_TIMEOUT;
+        delete process.env.DB_CONNECTION_TIMEOUT;
+
+        // Reset static pool
+        PGClientFactory.pool = null;
     });
 
     afterEach(() => {
         // Clean up
-        PGClientFactory.client = null;
+        PGClientFactory.pool = null;
     });
 
-    describe('getPGClient', () => {
-        test('should create new client on first call', async () => {
-            mockClient.connect.mockResolvedValue();
-            mockQuery.mockResolvedValue({ rows: [] });
-
-            const client = await PGClientFactory.getPGClient();
+    describe('getPool', () => {
+        test('should create new pool on first call', async () => {
+            const pool = await PGClientFactory.getPool();
 
-            expect(Client).toHaveBeenCalledWith({
+            expect(Pool).toHaveBeenCalledWith({
                 user: 'testuser',
                 database: 'testdb',
                 password: 'testpass',
                 host: 'localhost',
                 port: '5432'
             });
-            expect(client).toBe(mockClient);
+            expect(pool).toBe(mockPool);
         });
 
-        test('should reuse existing client on subsequent calls', async () => {
-            mockClient.connect.mockResolvedValue();
-            mockQuery.mockResolvedValue({ rows: [] });
+        test('should reuse existing pool on subsequent calls', async () => {
+            const pool1 = await PGClientFactory.getPool();
+            const pool2 = await PGClientFactory.getPool();
 
-            const client1 = await PGClientFactory.getPGClient();
-            const client2 = await PGClientFactory.getPGClient();
-
-            expect(Client).toHaveBeenCalledTimes(1);
-            expect(client1).toBe(client2);
+            expect(Pool).toHaveBeenCalledTimes(1);
+            expect(pool1).toBe(pool2);
         });
 
-        test('should connect and set search path on first call', async () => {
-            mockClient.connect.mockResolvedValue();
-            mockQuery.mockResolvedValue({ rows: [] });
+        test('should apply pool settings from environment variables', async () => {
+            process.env.DB_MAX_CONNECTIONS = '20';
+            process.env.DB_IDLE_TIMEOUT = '30000';
+            process.env.DB_CONNECTION_TIMEOUT = '2000';
+
+            await PGClientFactory.getPool();
 
-            await PGClientFactory.getPGClient();
+            expect(Pool).toHaveBeenCalledWith(expect.objectContaining({
+                max: 20,
+                idleTimeoutMillis: 30000,
+                connectionTimeoutMillis: 2000
+            }));
+        });
+
+        test('should reject invalid pool settings', async () => {
+            process.env.DB_MAX_CONNECTIONS = 'many';
 
-            expect(mockClient.connect).toHaveBeenCalled();
-            expect(mockQuery).toHaveBeenCalledWith('SET search_path TO public');
+            await expect(PGClientFactory.getPool()).rejects.toThrow('Invalid value for DB_MAX_CONNECTIONS: many');
         });
 
-        test('should not reconnect if already connected', async () => {
-            mockClient._connected = true;
-            mockQuery.mockResolvedValue({ rows: [] });
+        test('should set search path on every new connection', async () => {
+            await PGClientFactory.getPool();
 
-            await PGClientFactory.getPGClient();
+            poolListeners.connect(mockPooledClient);
 
-            expect(mockClient.connect).not.toHaveBeenCalled();
+            expect(mockPooledClient.query).toHaveBeenCalledWith('SET search_path TO public');
         });
 
-        test('should handle connection errors', async () => {
-            const connectionError = new Error('Connection failed');
-            mockClient.connect.mockRejectedValue(connectionError);
+        test('should handle idle client errors without throwing', async () => {
+            await PGClientFactory.getPool();
 
-            await expect(PGClientFactory.getPGClient()).rejects.toThrow('Connection failed');
+            expect(() => poolListeners.error(new Error('Connection lost'))).not.toThrow();
         });
 
-        test('should handle search path setting errors', async () => {
-            mockClient.connect.mockResolvedValue();
-            mockQuery.mockRejectedValue(new Error('Search path failed'));
+        test('should report idle client errors to the logger', async () => {
+            const error = new Error('Connection lost');
+            PGClientFactory.logger = { error: jest.fn() };
+            await PGClientFactory.getPool();
+
+            poolListeners.error(error);
 
-            await expect(PGClientFactory.getPGClient()).rejects.toThrow('Search path failed');
+            expect(PGClientFactory.logger.error).toHaveBeenCalledWith('Unexpected error on idle database client', { error });
+            PGClientFactory.logger = null;
         });
-    });
 
-    describe('closeConnection', () => {
-        test('should close and reset client connection', async () => {
-            // Set up the client first
-            mockClient._connected = true;
-            mockClient.end.mockResolvedValue();
-            PGClientFactory.client = mockClient;
+        test('should throw if required environment variables are missing', async () => {
+            delete process.env.DB_SCHEMA;
 
-            await PGClientFactory.closeConnection();
+            await expect(PGClientFactory.getPool()).rejects.toThrow('Missing required environment variables: DB_SCHEMA');
+        });
+    });
+
+    describe('getPGClient', () => {
+        test('should check out a client from the pool', async () => {
+            const client = await PGClientFactory.getPGClient();
 
-            expect(mockClient.end).toHaveBeenCalled();
-            expect(PGClientFactory.client).toBeNull();
+            expect(mockPool.connect).toHaveBeenCalled();
+            expect(client).toBe(mockPooledClient);
         });
 
-        test('should handle case when no client exists', async () => {
-            await PGClientFactory.closeConnection();
-            // Should not throw any error
+        test('should handle connection errors', async () => {
+            const consoleSpy = jest.spyOn(console, 'error');
+            mockPool.connect.mockRejectedValue(new Error('Connection failed'));
+
+            await expect(PGClientFactory.getPGClient()).rejects.toThrow('Connection failed');
+            expect(consoleSpy).not.toHaveBeenCalled();
+            consoleSpy.mockRestore();
         });
+    });
 
-        test('should handle case when client is not connected', async () => {
-            mockClient._connected = false;
+    describe('getPoolStats', () => {
+        test('should report total, idle and waiting counts', async () => {
+            mockPool.totalCount = 5;
+            mockPool.idleCount = 2;
+            mockPool.waitingCount = 1;
+            await PGClientFactory.getPool();
 
-            await PGClientFactory.closeConnection();
+            expect(PGClientFactory.getPoolStats()).toEqual({ total: 5, idle: 2, waiting: 1 });
+        });
 
-            expect(mockClient.end).not.toHaveBeenCalled();
-            expect(PGClientFactory.client).toBeNull();
+        test('should report zeros when no pool exists', () => {
+            expect(PGClientFactory.getPoolStats()).toEqual({ total: 0, idle: 0, waiting: 0 });
         });
     });
 
-    describe('environment variables', () => {
-        test('should use correct environment variables', async () => {
-            mockClient.connect.mockResolvedValue();
-            mockQuery.mockResolvedValue({ rows: [] });
+    describe('closeConnection', () => {
+        test('should end and reset the pool', async () => {
+            PGClientFactory.pool = mockPool;
+
+            await PGClientFactory.closeConnection();
 
-            await PGClientFactory.getPGClient();
+            expect(mockPool.end).toHaveBeenCalled();
+            expect(PGClientFactory.pool).toBeNull();
+        });
 
-            expect(Client).toHaveBeenCalledWith({
-                user: 'testuser',
-                database: 'testdb',
-                password: 'testpass',
-                host: 'localhost',
-                port: '5432'
-            });
+        test('should handle case when no pool exists', async () => {
+            await PGClientFactory.closeConnection();
+            // Should not throw any error
         });
     });
 });
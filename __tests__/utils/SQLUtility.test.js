@@ -0,0 +1,79 @@
+const SQLUtility = require('../../src/utils/SQLUtility');
+const InvalidIdentifierError = require('../../src/errors/InvalidIdentifierError');
+
+describe('SQLUtility', () => {
+    let sqlUtility;
+
+    beforeEach(() => {
+        sqlUtility = new SQLUtility();
+    });
+
+    describe('quoteIdentifier', () => {
+        test('should wrap identifiers in double quotes', () => {
+            expect(sqlUtility.quoteIdentifier('first_name')).toBe('"first_name"');
+            expect(sqlUtility.quoteIdentifier('Order')).toBe('"Order"');
+        });
+
+        test('should escape embedded double quotes', () => {
+            expect(sqlUtility.quoteIdentifier('a"b')).toBe('"a""b"');
+            expect(sqlUtility.quoteIdentifier('x"; DROP TABLE users; --')).toBe('"x""; DROP TABLE users; --"');
+        });
+
+        test('should reject empty and non-string identifiers', () => {
+            expect(() => sqlUtility.quoteIdentifier('')).toThrow(InvalidIdentifierError);
+            expect(() => sqlUtility.quoteIdentifier(null)).toThrow(InvalidIdentifierError);
+            expect(() => sqlUtility.quoteIdentifier(42)).toThrow(InvalidIdentifierError);
+        });
+
+        test('should reject null characters', () => {
+            expect(() => sqlUtility.quoteIdentifier('a\0b')).toThrow('Identifier must not contain null characters');
+        });
+    });
+
+    describe('quoteTableName', () => {
+        test('should quote plain table names', () => {
+            expect(sqlUtility.quoteTableName('users')).toBe('"users"');
+        });
+
+        test('should quote schema-qualified table names', () => {
+            expect(sqlUtility.quoteTableName('tenant.users')).toBe('"tenant"."users"');
+        });
+
+        test('should reject malformed table names', () => {
+            expect(() => sqlUtility.quoteTableName('a.b.c')).toThrow(InvalidIdentifierError);
+            expect(() => sqlUtility.quoteTableName('users.')).toThrow(InvalidIdentifierError);
+            expect(() => sqlUtility.quoteTableName(undefined)).toThrow(InvalidIdentifierError);
+        });
+    });
+
+    describe('quoteLiteral', () => {
+        test('should quote values as string literals', () => {
+            expect(sqlUtility.quoteLiteral('abc')).toBe("'abc'");
+            expect(sqlUtility.quoteLiteral(42)).toBe("'42'");
+            expect(sqlUtility.quoteLiteral(null)).toBe('NULL');
+        });
+
+        test('should escape quotes and backslashes', () => {
+            expect(sqlUtility.quoteLiteral("O'Hara")).toBe("'O''Hara'");
+            expect(sqlUtility.quoteLiteral('a\\b')).toBe("E'a\\\\b'");
+        });
+
+        test('should reject null characters', () => {
+            expect(() => sqlUtility.quoteLiteral('a\0b')).toThrow(InvalidIdentifierError);
+        });
+    });
+
+    describe('normalizeOperator', () => {
+        test('should accept allowlisted operators case-insensitively', () => {
+            expect(sqlUtility.normalizeOperator('>=')).toBe('>=');
+            expect(sqlUtility.normalizeOperator('ilike')).toBe('ILIKE');
+            expect(sqlUtility.normalizeOperator('is  not distinct from')).toBe('IS NOT DISTINCT FROM');
+        });
+
+        test('should reject anything else', () => {
+            expect(() => sqlUtility.normalizeOperator('= 1 OR 1=1 --')).toThrow(InvalidIdentifierError);
+            expect(() => sqlUtility.normalizeOperator(';')).toThrow('Invalid operator: ;');
+            expect(() => sqlUtility.normalizeOperator(undefined)).toThrow(InvalidIdentifierError);
+        });
+    });
+});
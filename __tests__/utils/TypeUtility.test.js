@@ -0,0 +1,132 @@
+const TypeUtility = require('../../src/utils/TypeUtility');
+
+describe('TypeUtility', () => {
+    let typeUtility;
+
+    const column = overrides => ({ udtName: 'text', isArray: false, enumValues: null, ...overrides });
+
+    beforeEach(() => {
+        typeUtility = new TypeUtility();
+    });
+
+    describe('integers', () => {
+        test('should accept integers and integer strings', () => {
+            expect(typeUtility.coerce(42, column({ udtName: 'int4' }))).toBe(42);
+            expect(typeUtility.coerce(' -7 ', column({ udtName: 'int2' }))).toBe(-7);
+        });
+
+        test('should reject non-integers and out of range values', () => {
+            expect(() => typeUtility.coerce('abc', column({ udtName: 'int4' }))).toThrow('must be an integer');
+            expect(() => typeUtility.coerce(1.5, column({ udtName: 'int4' }))).toThrow('must be an integer');
+            expect(() => typeUtility.coerce(true, column({ udtName: 'int4' }))).toThrow('must be an integer');
+            expect(() => typeUtility.coerce(40000, column({ udtName: 'int2' }))).toThrow('is out of range for type int2');
+        });
+
+        test('should keep large bigint values as strings', () => {
+            expect(typeUtility.coerce('9223372036854775807', column({ udtName: 'int8' }))).toBe('9223372036854775807');
+            expect(typeUtility.coerce('12', column({ udtName: 'int8' }))).toBe(12);
+            expect(() => typeUtility.coerce('9223372036854775808', column({ udtName: 'int8' }))).toThrow('out of range');
+        });
+    });
+
+    describe('numeric and floats', () => {
+        test('should pass numerics as strings and check precision', () => {
+            const price = column({ udtName: 'numeric', numericPrecision: 5, numericScale: 2 });
+
+            expect(typeUtility.coerce(123.45, price)).toBe('123.45');
+            expect(typeUtility.coerce('0.5', price)).toBe('0.5');
+            expect(() => typeUtility.coerce(1234.5, price)).toThrow('exceeds numeric(5, 2)');
+            expect(() => typeUtility.coerce('12a', price)).toThrow('must be a number');
+        });
+
+        test('should convert floats', () => {
+            expect(typeUtility.coerce('1.25', column({ udtName: 'float8' }))).toBe(1.25);
+            expect(() => typeUtility.coerce(Infinity, column({ udtName: 'float4' }))).toThrow('must be a number');
+        });
+    });
+
+    describe('booleans', () => {
+        test('should accept booleans and their usual spellings', () => {
+            const flag = column({ udtName: 'bool' });
+
+            expect(typeUtility.coerce(true, flag)).toBe(true);
+            expect(typeUtility.coerce('yes', flag)).toBe(true);
+            expect(typeUtility.coerce('F', flag)).toBe(false);
+            expect(typeUtility.coerce(0, flag)).toBe(false);
+            expect(() => typeUtility.coerce('maybe', flag)).toThrow('must be a boolean');
+        });
+    });
+
+    describe('timestamps', () => {
+        test('should accept dates, epoch numbers and parseable strings', () => {
+            const at = column({ udtName: 'timestamptz' });
+            const date = new Date('2024-01-01T00:00:00Z');
+
+            expect(typeUtility.coerce(date, at)).toBe(date);
+            expect(typeUtility.coerce(date.getTime(), at)).toEqual(date);
+            expect(typeUtility.coerce('2024-01-01', column({ udtName: 'date' }))).toBe('2024-01-01');
+        });
+
+        test('should reject invalid dates', () => {
+            expect(() => typeUtility.coerce('not a date', column({ udtName: 'date' }))).toThrow('must be a valid date');
+            expect(() => typeUtility.coerce(new Date('x'), column({ udtName: 'timestamp' }))).toThrow('must be a valid date');
+        });
+    });
+
+    describe('uuid, enums and text', () => {
+        test('should validate uuids', () => {
+            const id = column({ udtName: 'uuid' });
+
+            expect(typeUtility.coerce('123e4567-e89b-12d3-a456-426614174000', id)).toBe('123e4567-e89b-12d3-a456-426614174000');
+            expect(typeUtility.coerce('123E4567-E89B-12D3-A456-426614174000', id)).toBe('123e4567-e89b-12d3-a456-426614174000');
+            expect(() => typeUtility.coerce('123', id)).toThrow('must be a UUID');
+        });
+
+        test('should check enum membership', () => {
+            const mood = column({ udtName: 'mood', enumValues: ['ok', 'sad'] });
+
+            expect(typeUtility.coerce('ok', mood)).toBe('ok');
+            expect(() => typeUtility.coerce('happy', mood)).toThrow('must be one of: ok, sad');
+        });
+
+        test('should stringify scalars and enforce the maximum length', () => {
+            const code = column({ udtName: 'varchar', maxLength: 3 });
+
+            expect(typeUtility.coerce(12, code)).toBe('12');
+            expect(() => typeUtility.coerce('abcd', code)).toThrow('must be at most 3 characters');
+            expect(() => typeUtility.coerce({}, code)).toThrow('must be a string');
+        });
+
+        test('should serialize json values and check json text', () => {
+            const data = column({ udtName: 'jsonb' });
+
+            expect(typeUtility.coerce({ a: [1] }, data)).toBe('{"a":[1]}');
+            expect(typeUtility.coerce(['x'], column({ udtName: 'json' }))).toBe('["x"]');
+            expect(typeUtility.coerce('{"a":1}', data)).toBe('{"a":1}');
+            expect(() => typeUtility.coerce('{oops', data)).toThrow('must be valid JSON');
+            expect(() => typeUtility.coerce(10n, data)).toThrow('must be JSON-serializable');
+        });
+
+        test('should coerce array elements to the element type', () => {
+            const nums = column({ udtName: '_int4', isArray: true });
+
+            expect(typeUtility.coerce(['1', 2, null], nums)).toEqual([1, 2, null]);
+            expect(typeUtility.coerce([['1'], ['2']], nums)).toEqual([[1], [2]]);
+            expect(() => typeUtility.coerce([1, 'x'], nums)).toThrow('element 1 must be an integer');
+            expect(() => typeUtility.coerce('1', nums)).toThrow('must be an array');
+            expect(() => typeUtility.coerce(['happy'], column({ udtName: '_mood', isArray: true, enumValues: ['ok'] })))
+                .toThrow('element 0 must be one of: ok');
+        });
+
+        test('should coerce array update operands', () => {
+            const nums = column({ udtName: '_int4', isArray: true });
+
+            expect(typeUtility.coerceArrayUpdate({ $append: '3', $remove: ['1', 2] }, nums)).toEqual({ $append: 3, $remove: [1, 2] });
+        });
+
+        test('should pass unknown types through', () => {
+            const value = { x: 1 };
+            expect(typeUtility.coerce(value, column({ udtName: 'point' }))).toBe(value);
+        });
+    });
+});
@@ -0,0 +1,354 @@
+const InvalidIdentifierError = require('../errors/InvalidIdentifierError.js');
+
+const COMPARISON_OPERATORS = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+  $like: 'LIKE',
+  $notLike: 'NOT LIKE',
+  $ilike: 'ILIKE',
+  $notIlike: 'NOT ILIKE'
+};
+
+const ARRAY_OPERATORS = {
+  $contains: '@>',
+  $containedBy: '<@',
+  $overlap: '&&'
+};
+
+const JSON_OPERATORS = {
+  $contains: '@>',
+  $containedBy: '<@',
+  $hasKey: '?',
+  $hasAnyKeys: '?|',
+  $hasAllKeys: '?&'
+};
+
+/**
+ * Compiles condition objects into parameterized SQL.
+ *
+ * A condition object maps column names to either a value (equality) or an
+ * operator object such as { $in: [...] }, { $between: [a, b] } or
+ * { $isNull: true }. Several operators on one column are ANDed. The keys
+ * $or, $and and $not combine nested condition objects. Columns whose value
+ * is undefined or null are skipped, and so are groups left empty by skipped
+ * columns. Conditions that always hold, such as an empty $notIn, add nothing
+ * to the SQL but still absorb an $or and make a $not FALSE. json/jsonb
+ * columns compare as JSON and support $contains, $containedBy, $hasKey,
+ * $hasAnyKeys and $hasAllKeys.
+ * Array columns support $any, $contains, $containedBy and $overlap.
+ */
+class ConditionBuilder {
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.resolveColumn - Maps a condition key to a quoted SQL column
+   * @param {Function} options.normalizeOperator - Validates legacy { operator, value } operators
+   * @param {number} options.startIndex - Number of the first $n placeholder
+   * @param {Function} options.getColumnInfo - Maps a condition key to column metadata ({ udtName, isArray, sqlType }), if known
+   * @param {Function} options.toLiteral - Renders values as SQL literals instead of binding them, for statements such as COPY
+   */
+  constructor({ resolveColumn, normalizeOperator, startIndex = 1, getColumnInfo = () => undefined, toLiteral }) {
+    this.resolveColumn = resolveColumn;
+    this.getColumnInfo = getColumnInfo;
+    this.normalizeOperator = normalizeOperator;
+    this.startIndex = startIndex;
+    this.toLiteral = toLiteral;
+    this.params = [];
+    this.paramColumns = [];
+    this.currentKey = null;
+  }
+
+  /**
+   * @param {Object} conditions - Condition object
+   * @returns {Object} { whereClause, params, paramColumns, hasPredicates }; paramColumns
+   *   holds the condition key each parameter was bound for, and hasPredicates
+   *   is false when no condition narrows the match, so every row would match
+   */
+  build(conditions) {
+    const compiled = conditions ? this.compileGroup(conditions) : [];
+    // TRUE restricts nothing, so it is left out of the SQL and counts as no predicate
+    const fragments = compiled.filter(fragment => fragment !== 'TRUE');
+    const whereClause = fragments.map(fragment => ` AND ${fragment}`).join('');
+
+    return { whereClause, params: this.params, paramColumns: this.paramColumns, hasPredicates: fragments.length > 0 };
+  }
+
+  addParam(value) {
+    if (this.toLiteral) {
+      return this.toLiteral(value);
+    }
+
+    this.params.push(value);
+    this.paramColumns.push(this.currentKey);
+    return `$${this.startIndex + this.params.length - 1}`;
+  }
+
+  compileGroup(conditions) {
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+      throw new Error('Conditions must be an object');
+    }
+
+    const mark = this.params.length;
+    const fragments = [];
+
+    for (const [key, value] of Object.entries(conditions)) {
+      if (key === '$or' || key === '$and') {
+        const fragment = this.settle(this.params.length, this.compileLogical(key, value));
+        if (fragment) {
+          fragments.push(fragment);
+        }
+      } else if (key === '$not') {
+        const fragment = this.negate(this.compileGroup(value));
+        if (fragment) {
+          fragments.push(fragment);
+        }
+      } else if (key.startsWith('$')) {
+        throw new InvalidIdentifierError(`Unknown condition operator: ${key}`, key);
+      } else if (value !== undefined && value !== null) {
+        fragments.push(...this.compileColumn(key, value));
+      }
+    }
+
+    return this.settle(mark, this.toConjunction(fragments));
+  }
+
+  // A part folded to TRUE or FALSE shows none of its placeholders, so the
+  // parameters it bound are dropped again; they are always the last ones
+  settle(mark, result) {
+    const fragments = [].concat(result);
+    if (fragments.length === 1 && (fragments[0] === 'TRUE' || fragments[0] === 'FALSE')) {
+      this.params.length = mark;
+      this.paramColumns.length = mark;
+    }
+    return result;
+  }
+
+  // One FALSE makes a whole AND list FALSE and TRUE adds nothing to it, so
+  // either constant only ever appears on its own
+  toConjunction(fragments) {
+    if (fragments.includes('FALSE')) {
+      return ['FALSE'];
+    }
+    const predicates = fragments.filter(fragment => fragment !== 'TRUE');
+    return predicates.length === 0 && fragments.length > 0 ? ['TRUE'] : predicates;
+  }
+
+  // NOT of nothing is dropped like a skipped column; constants are flipped
+  negate(fragments) {
+    const conjunction = this.toConjunction(fragments);
+    if (conjunction.length === 0) {
+      return null;
+    }
+    if (conjunction[0] === 'FALSE') {
+      return 'TRUE';
+    }
+    if (conjunction[0] === 'TRUE') {
+      return 'FALSE';
+    }
+    return `NOT (${conjunction.join(' AND ')})`;
+  }
+
+  compileLogical(key, groups) {
+    if (!Array.isArray(groups)) {
+      throw new Error(`${key} expects an array of condition objects`);
+    }
+
+    if (groups.length === 0) {
+      // An empty $or matches nothing, an empty $and matches everything
+      return key === '$or' ? 'FALSE' : null;
+    }
+
+    const parts = groups
+      .map(group => this.compileGroup(group))
+      .filter(inner => inner.length > 0)
+      .map(inner => (inner.length === 1 ? inner[0] : `(${inner.join(' AND ')})`));
+
+    if (parts.length === 0) {
+      return null;
+    }
+    if (key === '$and') {
+      const conjunction = this.toConjunction(parts);
+      return conjunction.length === 1 ? conjunction[0] : `(${conjunction.join(' AND ')})`;
+    }
+
+    // A TRUE branch makes the whole OR TRUE; FALSE branches add nothing to it
+    if (parts.includes('TRUE')) {
+      return 'TRUE';
+    }
+    const branches = parts.filter(part => part !== 'FALSE');
+    if (branches.length === 0) {
+      return 'FALSE';
+    }
+    return branches.length === 1 ? branches[0] : `(${branches.join(' OR ')})`;
+  }
+
+  compileColumn(key, value) {
+    const column = this.resolveColumn(key);
+    const info = this.getColumnInfo(key);
+    this.currentKey = key;
+
+    if (this.isOperatorObject(value)) {
+      return this.compileOperators(column, value, info);
+    }
+
+    if (this.isJsonColumn(info)) {
+      return [`${this.toJsonb(column, info)} = ${this.addParam(this.toJsonParam(value))}::jsonb`];
+    }
+
+    if (info && info.isArray && Array.isArray(value)) {
+      return [`${column} = ${this.addParam(value)}::${info.sqlType}`];
+    }
+
+    if (value && typeof value === 'object' && value.operator) {
+      return [`${column} ${this.normalizeOperator(value.operator)} ${this.addParam(value.value)}`];
+    }
+
+    return [`${column} = ${this.addParam(value)}`];
+  }
+
+  compileOperators(column, operators, info) {
+    const mark = this.params.length;
+    const fragments = [];
+
+    for (const [operator, operand] of Object.entries(operators)) {
+      if (operand === undefined) {
+        continue;
+      }
+
+      const fragment = this.compileOperator(column, operator, operand, info);
+      if (fragment) {
+        fragments.push(fragment);
+      }
+    }
+
+    return this.settle(mark, this.toConjunction(fragments));
+  }
+
+  compileOperator(column, operator, operand, info) {
+    if (COMPARISON_OPERATORS[operator]) {
+      return `${column} ${COMPARISON_OPERATORS[operator]} ${this.addParam(operand)}`;
+    }
+
+    if (info && info.isArray && (ARRAY_OPERATORS[operator] || operator === '$any')) {
+      return this.compileArrayOperator(column, operator, operand, info);
+    }
+
+    if (operator === '$any' || operator === '$overlap') {
+      throw new Error(`${operator} requires an array column`);
+    }
+
+    if (JSON_OPERATORS[operator]) {
+      return this.compileJsonOperator(column, operator, operand, info);
+    }
+
+    switch (operator) {
+    case '$eq':
+      return operand === null ? `${column} IS NULL` : `${column} = ${this.addParam(operand)}`;
+    case '$ne':
+      return operand === null ? `${column} IS NOT NULL` : `${column} <> ${this.addParam(operand)}`;
+    case '$in':
+    case '$notIn':
+      return this.compileList(column, operator, operand);
+    case '$between':
+    case '$notBetween':
+      return this.compileBetween(column, operator, operand);
+    case '$isNull':
+      return operand ? `${column} IS NULL` : `${column} IS NOT NULL`;
+    case '$notNull':
+      return operand ? `${column} IS NOT NULL` : `${column} IS NULL`;
+    case '$not': {
+      const inner = this.isOperatorObject(operand)
+        ? this.compileOperators(column, operand, info)
+        : [operand === null ? `${column} IS NULL` : `${column} = ${this.addParam(operand)}`];
+      return this.negate(inner);
+    }
+    default:
+      throw new InvalidIdentifierError(`Unknown condition operator: ${operator}`, operator);
+    }
+  }
+
+  compileArrayOperator(column, operator, operand, info) {
+    if (operator === '$any') {
+      return `${this.addParam(operand)} = ANY(${column})`;
+    }
+
+    if (!Array.isArray(operand)) {
+      throw new Error(`${operator} expects an array`);
+    }
+    return `${column} ${ARRAY_OPERATORS[operator]} ${this.addParam(operand)}::${info.sqlType}`;
+  }
+
+  compileJsonOperator(column, operator, operand, info) {
+    if (!this.isJsonColumn(info)) {
+      const types = ARRAY_OPERATORS[operator] ? 'json, jsonb or array' : 'json or jsonb';
+      throw new Error(`${operator} requires a ${types} column`);
+    }
+
+    const target = this.toJsonb(column, info);
+
+    switch (operator) {
+    case '$hasKey':
+      return `${target} ? ${this.addParam(String(operand))}`;
+    case '$hasAnyKeys':
+    case '$hasAllKeys':
+      if (!Array.isArray(operand)) {
+        throw new Error(`${operator} expects an array`);
+      }
+      return `${target} ${JSON_OPERATORS[operator]} ${this.addParam(operand.map(String))}::text[]`;
+    default:
+      return `${target} ${JSON_OPERATORS[operator]} ${this.addParam(this.toJsonParam(operand))}::jsonb`;
+    }
+  }
+
+  isJsonColumn(info) {
+    return Boolean(info) && !info.isArray && (info.udtName === 'json' || info.udtName === 'jsonb');
+  }
+
+  // json has no comparison operators of its own, so compare it as jsonb; the
+  // column may be a path such as "meta" -> 'a', which :: would bind inside
+  toJsonb(column, info) {
+    return info.udtName === 'json' ? `(${column})::jsonb` : column;
+  }
+
+  // Strings are JSON text already, as they are when written
+  toJsonParam(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  compileList(column, operator, values) {
+    if (!Array.isArray(values)) {
+      throw new Error(`${operator} expects an array`);
+    }
+
+    // Nothing is IN an empty list and everything is NOT IN one
+    if (values.length === 0) {
+      return operator === '$in' ? 'FALSE' : 'TRUE';
+    }
+
+    const placeholders = values.map(value => this.addParam(value)).join(', ');
+    return `${column} ${operator === '$in' ? 'IN' : 'NOT IN'} (${placeholders})`;
+  }
+
+  compileBetween(column, operator, range) {
+    if (!Array.isArray(range) || range.length !== 2) {
+      throw new Error(`${operator} expects an array of two values`);
+    }
+
+    const keyword = operator === '$between' ? 'BETWEEN' : 'NOT BETWEEN';
+    return `${column} ${keyword} ${this.addParam(range[0])} AND ${this.addParam(range[1])}`;
+  }
+
+  isOperatorObject(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Date) {
+      return false;
+    }
+
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+  }
+
+}
+
+module.exports = ConditionBuilder;
@@ -1,73 +1,509 @@
 // PostgreSQL client is managed by PGClientFactory
+const { Readable, pipeline } = require('stream');
+const { promisify } = require('util');
+const { from: copyFrom, to: copyTo } = require('pg-copy-streams');
+const { prepareValue } = require('pg/lib/utils');
 const ObjectUtility = require('../utils/ObjectUtility.js');
 const PGClientFactory = require('../utils/PGClientFactory.js');
+const SQLUtility = require('../utils/SQLUtility.js');
+const TypeUtility = require('../utils/TypeUtility.js');
+const LogUtility = require('../utils/LogUtility.js');
+const ConditionBuilder = require('./ConditionBuilder.js');
+const InvalidIdentifierError = require('../errors/InvalidIdentifierError.js');
+const ValidationError = require('../errors/ValidationError.js');
+const NotFoundError = require('../errors/NotFoundError.js');
+const UnsafeOperationError = require('../errors/UnsafeOperationError.js');
+const StaleRecordError = require('../errors/StaleRecordError.js');
+const OperationAbortedError = require('../errors/OperationAbortedError.js');
+
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+const HOOK_EVENTS = ['Create', 'Update', 'Delete', 'Read', 'Upsert']
+  .flatMap(operation => [`before${operation}`, `after${operation}`]);
+
+// context.abort() for hooks and middleware
+const abortOperation = (message) => {
+  throw new OperationAbortedError(message);
+};
+
+// Internal RETURNING column telling inserted rows from updated ones
+const UPSERT_STATUS_COLUMN = '__upsert_inserted';
+
+// PostgreSQL's limit on bind parameters in a single statement
+const MAX_QUERY_PARAMETERS = 65535;
+
+// Parent keys looked up per query when loading included relations
+const INCLUDE_BATCH_SIZE = 1000;
+
+// Internal column numbering included rows per parent for include limits
+const INCLUDE_ROW_COLUMN = '__include_row';
+
+// Prefix of the internal columns carrying readPage sort values as text
+const CURSOR_COLUMN_PREFIX = '__cursor_';
+
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+// Types a conventional created_at/updated_at column must have to be stamped
+const TIMESTAMP_TYPES = ['timestamp', 'timestamptz', 'date'];
+
+// pg returns bigint (COUNT, SUM of integers) and numeric (AVG, SUM) as strings
+const NUMERIC_STRING_TYPE_IDS = [20, 1700];
+
+const TABLE_TYPES = {
+  'BASE TABLE': 'table',
+  'VIEW': 'view',
+  'FOREIGN': 'foreign table',
+  'LOCAL TEMPORARY': 'temporary table'
+};
+
+let cursorSequence = 0;
+
+const pipelineAsync = promisify(pipeline);
 
 class PostgreSQLAccessor {
 
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {string} options.schema - Schema for unqualified table names (default DB_SCHEMA, then public)
+   * @param {boolean} options.mapResults - Return rows as camelCase objects (see mapRows)
+   * @param {boolean} options.rejectOnNotFound - Single-row helpers throw NotFoundError instead of returning null
+   * @param {Object|Function} options.logger - Logger for statements and errors; nothing is logged without one (see LogUtility)
+   * @param {string} options.logLevel - Lowest level passed to the logger (default debug)
+   * @param {Array<string|RegExp>} options.redact - Columns whose parameter values are hidden in logs
+   */
+  constructor(options = {}) {
+    this.schema = options.schema || process.env.DB_SCHEMA || 'public';
+    this.mapResults = Boolean(options.mapResults);
+    this.rejectOnNotFound = Boolean(options.rejectOnNotFound);
     this.objectUtility = new ObjectUtility();
+    this.sqlUtility = new SQLUtility();
+    this.typeUtility = new TypeUtility();
+    this.logUtility = new LogUtility({ logger: options.logger, logLevel: options.logLevel, redact: options.redact });
     this.columnsMap = new Map();
     this.uniqueColumnsMap = new Map();
     this.primaryKeyColumnsMap = new Map();
+    this.primaryKeyNameMap = new Map();
+    this.uniqueConstraintsMap = new Map();
+    this.columnInfoMap = new Map();
+    this.tableTypeMap = new Map();
+    this.tableOptionsMap = new Map();
+    this.foreignKeysMap = new Map();
+    this.hooks = [];
+    this.middleware = [];
+    this.transactionDepth = 0;
   }
 
   async initialize() {
-    this.client = await PGClientFactory.getPGClient();
+    // The pool checks a connection out and releases it around every query
+    this.client = await PGClientFactory.getPool();
   }
 
-  async addTable(tableName) {
+  /**
+   * Send a statement to the database through the middleware chain.
+   * @param {string} query - SQL statement
+   * @param {Array} params - Bind parameters
+   * @param {Array<string|null>} paramColumns - Column each parameter is bound to, null for none;
+   *   only used to redact logged parameters, which are all hidden without it
+   * @returns {Promise<Object>} pg query result
+   */
+  async executeQuery(query, params = [], paramColumns) {
     if (!this.client) {
       await this.initialize();
     }
-        
+
+    const context = {
+      query,
+      params,
+      accessor: this,
+      inTransaction: this.transactionDepth > 0,
+      abort: abortOperation
+    };
+    // Parameters replaced by middleware no longer match the recorded columns
+    const run = index => (index < this.middleware.length
+      ? this.middleware[index](context, () => run(index + 1))
+      : this.sendQuery(context.query, context.params, context.params === params ? paramColumns : undefined));
+
+    return run(0);
+  }
+
+  // The statement as it finally reaches the database is what gets logged
+  async sendQuery(query, params, paramColumns) {
+    const started = Date.now();
+
+    try {
+      const result = await this.client.query(query, params);
+      const rowCount = typeof result.rowCount === 'number' ? result.rowCount : (result.rows || []).length;
+      this.logUtility.logQuery(query, params, { durationMs: Date.now() - started, rowCount }, paramColumns);
+      return result;
+    } catch (error) {
+      this.logUtility.logQuery(query, params, { durationMs: Date.now() - started, error }, paramColumns);
+      throw error;
+    }
+  }
+
+  /**
+   * Register middleware around every statement the accessor sends (COPY
+   * streams excepted). It receives { query, params, accessor, inTransaction,
+   * abort } and next; it may change query and params before calling next,
+   * change or replace the result next resolves to, or abort without calling
+   * next. Middleware runs in registration order.
+   * @param {Function} middleware - async (context, next) => result
+   * @returns {Function} Call to remove the middleware
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+
+    this.middleware.push(middleware);
+    return () => {
+      const index = this.middleware.indexOf(middleware);
+      if (index !== -1) {
+        this.middleware.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Register a lifecycle hook. before hooks receive { tableName, method, data,
+   * conditions, options, accessor, abort } and may change data, conditions
+   * and options; after hooks also see result and may replace it. Hooks run in
+   * registration order and an error thrown by one stops the operation.
+   * @param {string} event - beforeCreate, afterCreate, beforeUpdate, afterUpdate,
+   *   beforeDelete, afterDelete, beforeRead, afterRead, beforeUpsert or afterUpsert
+   * @param {Function} hook - async (context) => void
+   * @param {Object} options - { table } limits the hook to one table
+   * @returns {Function} Call to remove the hook
+   */
+  addHook(event, hook, options = {}) {
+    if (!HOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown hook event: ${event}. Expected one of: ${HOOK_EVENTS.join(', ')}`);
+    }
+    if (typeof hook !== 'function') {
+      throw new Error('Hook must be a function');
+    }
+
+    const entry = { event, hook, table: options.table ? this.qualifyTableName(options.table) : null };
+    this.hooks.push(entry);
+    return () => {
+      const index = this.hooks.indexOf(entry);
+      if (index !== -1) {
+        this.hooks.splice(index, 1);
+      }
+    };
+  }
+
+  async runHooks(event, context) {
+    if (this.hooks.length === 0) {
+      return;
+    }
+
+    const qualifiedName = this.qualifyTableName(context.tableName);
+
+    // Copy first so a hook removing itself does not skip the next one
+    for (const entry of [...this.hooks]) {
+      if (entry.event === event && (!entry.table || entry.table === qualifiedName)) {
+        await entry.hook(context);
+      }
+    }
+  }
+
+  // Run run(context) between the before and after hooks of an operation type
+  async withHooks(operation, fields, run) {
+    const context = this.toHookContext(fields);
+
+    await this.runHooks(`before${operation}`, context);
+    context.result = await run(context);
+    await this.runHooks(`after${operation}`, context);
+    return context.result;
+  }
+
+  toHookContext(fields) {
+    return { ...fields, accessor: this, abort: abortOperation, result: undefined };
+  }
+
+  // For reads that run afterRead themselves, or return no rows for it (count, exists, aggregates)
+  async runBeforeRead(tableName, method, conditions, options) {
+    const context = this.toHookContext({ tableName, method, conditions, options });
+    await this.runHooks('beforeRead', context);
+    return context;
+  }
+
+  getPoolStats() {
+    return PGClientFactory.getPoolStats();
+  }
+
+  /**
+   * Run callback inside a transaction. The callback receives an accessor bound
+   * to a single connection; the transaction commits when the callback resolves
+   * and rolls back when it throws. Calling transaction() on a bound accessor
+   * opens a SAVEPOINT instead, so nested units can fail independently.
+   * @param {Function} callback - async (tx) => result
+   * @param {Object} options - { isolationLevel, readOnly }
+   * @returns {Promise<*>} Whatever the callback resolves to
+   */
+  async transaction(callback, options = {}) {
+    if (typeof callback !== 'function') {
+      throw new Error('Transaction callback must be a function');
+    }
+
+    if (this.transactionDepth > 0) {
+      return this.runInSavepoint(callback, options);
+    }
+
+    const beginStatement = this.toBeginStatement(options);
+
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const client = await PGClientFactory.getPGClient();
+    const tx = this.bindToClient(client, 1);
+    let releaseError;
+
+    try {
+      await tx.executeQuery(beginStatement);
+      const result = await callback(tx);
+      await tx.executeQuery('COMMIT');
+      return result;
+    } catch (e) {
+      try {
+        await tx.executeQuery('ROLLBACK');
+      } catch (rollbackError) {
+        // A connection that cannot roll back must not go back into the pool
+        releaseError = rollbackError;
+      }
+      throw e;
+    } finally {
+      client.release(releaseError);
+    }
+  }
+
+  async runInSavepoint(callback, options) {
+    if (options.isolationLevel || options.readOnly) {
+      throw new Error('Isolation level and read-only mode can only be set on the outermost transaction');
+    }
+
+    const depth = this.transactionDepth + 1;
+    const savepoint = `sp_${depth}`;
+    const tx = this.bindToClient(this.client, depth);
+
+    await tx.executeQuery(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await callback(tx);
+      await tx.executeQuery(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (e) {
+      try {
+        await tx.executeQuery(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      } catch {
+        // Keep the original error; the outermost transaction discards a broken connection
+      }
+      throw e;
+    }
+  }
+
+  toBeginStatement(options) {
+    let statement = 'BEGIN';
+
+    if (options.isolationLevel) {
+      const isolationLevel = String(options.isolationLevel).trim().toUpperCase();
+      if (!ISOLATION_LEVELS.includes(isolationLevel)) {
+        throw new Error(`Invalid isolation level: ${options.isolationLevel}. Expected one of: ${ISOLATION_LEVELS.join(', ')}`);
+      }
+      statement += ` ISOLATION LEVEL ${isolationLevel}`;
+    }
+
+    if (options.readOnly) {
+      statement += ' READ ONLY';
+    }
+
+    return statement;
+  }
+
+  // Share discovered metadata with the parent but route every query to one connection
+  bindToClient(client, transactionDepth) {
+    const bound = Object.create(this);
+    bound.client = client;
+    bound.transactionDepth = transactionDepth;
+    return bound;
+  }
+
+  /**
+   * Split a table name into schema and table, applying the default schema.
+   * @param {string} tableName - "table" or "schema.table"
+   * @returns {Object} { schema, table, qualifiedName }
+   */
+  resolveTableName(tableName) {
+    const parts = typeof tableName === 'string' ? tableName.split('.') : [];
+
+    if (parts.length === 0 || parts.length > 2 || parts.some(part => part.length === 0)) {
+      throw new InvalidIdentifierError(`Invalid table name: ${tableName}`, tableName);
+    }
+
+    const [schema, table] = parts.length === 2 ? parts : [this.schema, parts[0]];
+    return { schema, table, qualifiedName: `${schema}.${table}` };
+  }
+
+  // Discovered metadata is keyed by "schema.table"
+  qualifyTableName(tableName) {
+    return this.resolveTableName(tableName).qualifiedName;
+  }
+
+  quoteTable(tableName) {
+    return this.sqlUtility.quoteTableName(this.qualifyTableName(tableName));
+  }
+
+  /**
+   * Discover a table's columns and keys.
+   * @param {string} tableName - Table name, optionally schema-qualified
+   * @param {Object} options - Per-table settings: { shape } for mapRows,
+   *   { softDelete: column | true } to mark rows deleted instead of removing them,
+   *   { timestamps: { createdAt, updatedAt } | false } to name or turn off the
+   *   managed timestamp columns (created_at and updated_at by default),
+   *   { version: column | true } for optimistic locking
+   */
+  async addTable(tableName, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const qualifiedName = this.qualifyTableName(tableName);
     await this.addTableColumns(tableName);
     await this.addUniqueTableColumns(tableName);
     await this.addPrimaryKeyColumns(tableName);
+    await this.addForeignKeys(tableName);
+
+    const columns = this.columnsMap.get(qualifiedName) || [];
+    const { createdAt, updatedAt } = options.timestamps || {};
+    const configuredColumns = {
+      softDelete: this.toSoftDeleteColumn(options.softDelete),
+      version: this.toVersionColumn(options.version),
+      createdAt,
+      updatedAt
+    };
+    for (const [setting, column] of Object.entries(configuredColumns)) {
+      if (typeof column === 'string' && !columns.includes(column)) {
+        throw new InvalidIdentifierError(`${setting} column ${column} not found in table ${tableName}`, column);
+      }
+    }
+    this.tableOptionsMap.set(qualifiedName, { ...options });
+  }
+
+  /**
+   * Discover every table and view in a schema with one catalog query for
+   * columns, one for key constraints and one for foreign keys.
+   * @param {string} schema - Schema to discover (default: the accessor schema)
+   * @returns {Promise<Array<string>>} Qualified names of the discovered tables
+   */
+  async addAllTables(schema = this.schema) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    try {
+      const columnsResult = await this.executeQuery(this.toColumnsQuery(false), [schema], [null]);
+      const keysResult = await this.executeQuery(this.toKeyColumnsQuery(['UNIQUE', 'PRIMARY KEY'], false), [schema], [null]);
+      const foreignKeysResult = await this.executeQuery(this.toForeignKeysQuery(false), [schema], [null]);
+
+      const tableNames = [...new Set(columnsResult.rows.map(row => row.table_name))];
+
+      for (const table of tableNames) {
+        const qualifiedName = `${schema}.${table}`;
+        const keyRows = keysResult.rows.filter(row => row.table_name === table);
+
+        this.storeTableColumns(qualifiedName, columnsResult.rows.filter(row => row.table_name === table));
+        this.storeUniqueConstraints(qualifiedName, keyRows.filter(row => row.constraint_type === 'UNIQUE'));
+        this.storePrimaryKey(qualifiedName, keyRows.filter(row => row.constraint_type === 'PRIMARY KEY'));
+        this.foreignKeysMap.set(qualifiedName, []);
+      }
+      this.storeForeignKeys(foreignKeysResult.rows);
+
+      return tableNames.map(table => `${schema}.${table}`);
+    } catch (e) {
+      this.logUtility.log('error', 'Error discovering schema', { error: e });
+      throw e;
+    }
   }
 
   async addTableColumns(tableName) {
+    const { schema, table, qualifiedName } = this.resolveTableName(tableName);
+
     try {
-      const res = await this.client.query(`
-                SELECT column_name
-                FROM information_schema.columns
-                WHERE table_name = $1`, [tableName]);
-            
-      const tableColumns = res.rows.map(row => row.column_name);
-      this.columnsMap.set(tableName, tableColumns);
+      const res = await this.executeQuery(this.toColumnsQuery(true), [schema, table], [null, null]);
+      this.storeTableColumns(qualifiedName, res.rows);
     } catch (e) {
-      console.error('Error retrieving column names:', e);
+      this.logUtility.log('error', 'Error retrieving column names', { error: e });
       throw e;
     }
   }
 
   async addUniqueTableColumns(tableName) {
-    try {
-      const res = await this.client.query(`
-                SELECT c.column_name
-                FROM information_schema.columns c
-                         JOIN information_schema.key_column_usage kcu
-                              ON c.table_schema = kcu.table_schema
-                                  AND c.table_name = kcu.table_name
-                                  AND c.column_name = kcu.column_name
-                         JOIN information_schema.table_constraints tc
-                              ON kcu.table_schema = tc.table_schema
-                                  AND kcu.table_name = tc.table_name
-                                  AND kcu.constraint_name = tc.constraint_name
-                WHERE tc.constraint_type = 'UNIQUE'
-                  AND c.table_name = $1`, [tableName]);
+    const { schema, table, qualifiedName } = this.resolveTableName(tableName);
 
-      const uniqueTableColumns = res.rows.map(row => row.column_name);
-      this.uniqueColumnsMap.set(tableName, uniqueTableColumns);
+    try {
+      const res = await this.executeQuery(this.toKeyColumnsQuery(['UNIQUE'], true), [schema, table], [null, null]);
+      this.storeUniqueConstraints(qualifiedName, res.rows);
     } catch (e) {
-      console.error('Error retrieving unique column names:', e);
+      this.logUtility.log('error', 'Error retrieving unique column names', { error: e });
       throw e;
     }
   }
 
   async addPrimaryKeyColumns(tableName) {
+    const { schema, table, qualifiedName } = this.resolveTableName(tableName);
+
+    try {
+      const res = await this.executeQuery(this.toKeyColumnsQuery(['PRIMARY KEY'], true), [schema, table], [null, null]);
+      this.storePrimaryKey(qualifiedName, res.rows);
+    } catch (e) {
+      this.logUtility.log('error', 'Error retrieving primary key column names', { error: e });
+      throw e;
+    }
+  }
+
+  async addForeignKeys(tableName) {
+    const { schema, table, qualifiedName } = this.resolveTableName(tableName);
+
     try {
-      const res = await this.client.query(`
-                SELECT c.column_name
+      const res = await this.executeQuery(this.toForeignKeysQuery(true), [schema, table], [null, null]);
+      // The table's own foreign keys are replaced; keys pointing at it are merged into their tables
+      this.foreignKeysMap.set(qualifiedName, []);
+      this.storeForeignKeys(res.rows);
+    } catch (e) {
+      this.logUtility.log('error', 'Error retrieving foreign keys', { error: e });
+      throw e;
+    }
+  }
+
+  // Columns of one table ($1 schema, $2 table) or of a whole schema ($1)
+  toColumnsQuery(forTable) {
+    return `
+                SELECT c.table_name, t.table_type, c.column_name,
+                       c.data_type, c.udt_schema, c.udt_name,
+                       c.is_nullable, c.column_default, c.is_identity, c.is_generated,
+                       c.character_maximum_length, c.numeric_precision, c.numeric_scale,
+                       (SELECT array_agg(e.enumlabel ORDER BY e.enumsortorder)
+                        FROM pg_catalog.pg_enum e
+                                 JOIN pg_catalog.pg_type ty ON ty.oid = e.enumtypid
+                                 JOIN pg_catalog.pg_namespace n ON n.oid = ty.typnamespace
+                        WHERE n.nspname = c.udt_schema
+                          AND (ty.typname = c.udt_name OR '_' || ty.typname = c.udt_name)) AS enum_values,
+                       col_description(format('%I.%I', c.table_schema, c.table_name)::regclass,
+                                       c.ordinal_position) AS column_comment
+                FROM information_schema.columns c
+                         JOIN information_schema.tables t
+                              ON t.table_schema = c.table_schema
+                                  AND t.table_name = c.table_name
+                WHERE c.table_schema = $1${forTable ? `
+                  AND c.table_name = $2` : ''}
+                ORDER BY c.table_name, c.ordinal_position`;
+  }
+
+  // Key columns of one table ($1 schema, $2 table) or of a whole schema ($1)
+  toKeyColumnsQuery(constraintTypes, forTable) {
+    return `
+                SELECT c.table_name, c.column_name, tc.constraint_name, tc.constraint_type
                 FROM information_schema.columns c
                          JOIN information_schema.key_column_usage kcu
                               ON c.table_schema = kcu.table_schema
@@ -77,196 +513,2062 @@ class PostgreSQLAccessor {
                               ON kcu.table_schema = tc.table_schema
                                   AND kcu.table_name = tc.table_name
                                   AND kcu.constraint_name = tc.constraint_name
-                WHERE tc.constraint_type = 'PRIMARY KEY'
-                  AND c.table_name = $1`, [tableName]);
-            
-      const primaryKeyColumns = res.rows.map(row => row.column_name);
-      this.primaryKeyColumnsMap.set(tableName, primaryKeyColumns);
-    } catch (e) {
-      console.error('Error retrieving primary key column names:', e);
-      throw e;
-    }
+                WHERE tc.constraint_type IN (${constraintTypes.map(type => `'${type}'`).join(', ')})
+                  AND c.table_schema = $1${forTable ? `
+                  AND c.table_name = $2` : ''}
+                ORDER BY c.table_name, tc.constraint_name, kcu.ordinal_position`;
   }
 
-  filterWithTableColumnName(data, tableName) {
-    const filteredData = {};
+  // Foreign keys from or to one table ($1 schema, $2 table), or touching a schema ($1)
+  toForeignKeysQuery(forTable) {
+    return `
+                SELECT con.conname AS constraint_name,
+                       ns.nspname AS table_schema, cl.relname AS table_name,
+                       fns.nspname AS foreign_table_schema, fcl.relname AS foreign_table_name,
+                       array_agg(a.attname::text ORDER BY k.ord) AS column_names,
+                       array_agg(fa.attname::text ORDER BY k.ord) AS foreign_column_names
+                FROM pg_catalog.pg_constraint con
+                         JOIN pg_catalog.pg_class cl ON cl.oid = con.conrelid
+                         JOIN pg_catalog.pg_namespace ns ON ns.oid = cl.relnamespace
+                         JOIN pg_catalog.pg_class fcl ON fcl.oid = con.confrelid
+                         JOIN pg_catalog.pg_namespace fns ON fns.oid = fcl.relnamespace
+                         CROSS JOIN LATERAL unnest(con.conkey, con.confkey) WITH ORDINALITY AS k(attnum, foreign_attnum, ord)
+                         JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+                         JOIN pg_catalog.pg_attribute fa ON fa.attrelid = con.confrelid AND fa.attnum = k.foreign_attnum
+                WHERE con.contype = 'f'
+                  AND ${forTable
+    ? '((ns.nspname = $1 AND cl.relname = $2) OR (fns.nspname = $1 AND fcl.relname = $2))'
+    : '(ns.nspname = $1 OR fns.nspname = $1)'}
+                GROUP BY con.conname, ns.nspname, cl.relname, fns.nspname, fcl.relname
+                ORDER BY ns.nspname, cl.relname, con.conname`;
+  }
 
-    if (data) {
-      const dataMap = this.objectUtility.convertObjectToFlat(data);
-      const tableColumns = this.columnsMap.get(tableName);
+  storeTableColumns(qualifiedName, rows) {
+    const columns = rows.map(row => ({
+      name: row.column_name,
+      dataType: row.data_type,
+      udtSchema: row.udt_schema,
+      udtName: row.udt_name,
+      isArray: row.data_type === 'ARRAY',
+      nullable: row.is_nullable === 'YES',
+      defaultValue: row.column_default === undefined ? null : row.column_default,
+      isIdentity: row.is_identity === 'YES',
+      isGenerated: row.is_generated === 'ALWAYS',
+      maxLength: row.character_maximum_length === undefined ? null : row.character_maximum_length,
+      numericPrecision: row.numeric_precision === undefined ? null : row.numeric_precision,
+      numericScale: row.numeric_scale === undefined ? null : row.numeric_scale,
+      enumValues: row.enum_values || null,
+      comment: row.column_comment || null
+    }));
 
-      if (!tableColumns) {
-        throw new Error(`Table ${tableName} columns not found. Call addTable() first.`);
-      }
+    this.columnsMap.set(qualifiedName, columns.map(column => column.name));
+    this.columnInfoMap.set(qualifiedName, columns);
+    if (rows.length > 0 && rows[0].table_type) {
+      this.tableTypeMap.set(qualifiedName, TABLE_TYPES[rows[0].table_type] || rows[0].table_type.toLowerCase());
+    }
+  }
 
-      for (const key in dataMap) {
-        if (tableColumns.includes(key) && dataMap[key] !== undefined) {
-          filteredData[key] = dataMap[key];
-        }
+  storeUniqueConstraints(qualifiedName, rows) {
+    this.uniqueColumnsMap.set(qualifiedName, [...new Set(rows.map(row => row.column_name))]);
+
+    // Each constraint is a separate conflict target, so keep them apart
+    const constraints = [];
+    for (const row of rows) {
+      let constraint = constraints.find(item => item.name === row.constraint_name);
+      if (!constraint) {
+        constraint = { name: row.constraint_name, columns: [] };
+        constraints.push(constraint);
       }
+      constraint.columns.push(row.column_name);
     }
+    this.uniqueConstraintsMap.set(qualifiedName, constraints);
+  }
 
-    return filteredData;
+  storePrimaryKey(qualifiedName, rows) {
+    this.primaryKeyColumnsMap.set(qualifiedName, rows.map(row => row.column_name));
+    this.primaryKeyNameMap.set(qualifiedName, rows.length > 0 ? rows[0].constraint_name : null);
   }
 
-  toConditionClause(conditions) {
-    let whereClause = '';
-    const params = [];
-    let paramIndex = 1;
-
-    if (conditions) {
-      for (const [key, value] of Object.entries(conditions)) {
-        if (value !== undefined && value !== null) {
-          let operator = '=';
-          let v = value;
-                    
-          if (value && typeof value === 'object' && value.operator) {
-            operator = value.operator;
-            v = value.value;
-          }
-                    
-          whereClause += ` AND ${key} ${operator} $${paramIndex}`;
-          params.push(v);
-          paramIndex++;
-        }
+  storeForeignKeys(rows) {
+    for (const row of rows) {
+      const qualifiedName = `${row.table_schema}.${row.table_name}`;
+      const foreignKey = {
+        name: row.constraint_name,
+        columns: row.column_names,
+        referencedTable: `${row.foreign_table_schema}.${row.foreign_table_name}`,
+        referencedColumns: row.foreign_column_names
+      };
+
+      const foreignKeys = this.foreignKeysMap.get(qualifiedName) || [];
+      const index = foreignKeys.findIndex(item => item.name === foreignKey.name);
+      if (index === -1) {
+        foreignKeys.push(foreignKey);
+      } else {
+        foreignKeys[index] = foreignKey;
       }
+      this.foreignKeysMap.set(qualifiedName, foreignKeys);
     }
-        
-    return { whereClause, params };
   }
 
-  async create(tableName, data) {
-    if (!this.client) {
-      await this.initialize();
-    }
-
-    const filteredData = this.filterWithTableColumnName(data, tableName);
-    const keys = Object.keys(filteredData);
-    const values = Object.values(filteredData);
+  /**
+   * Describe a discovered table: its type, column metadata and keys.
+   * @param {string} tableName - Table name
+   * @returns {Object} { schema, name, qualifiedName, type, columns, primaryKey, uniqueConstraints, foreignKeys }
+   */
+  getTableInfo(tableName) {
+    const { schema, table, qualifiedName } = this.resolveTableName(tableName);
 
-    if (keys.length === 0) {
-      throw new Error('No valid columns found for create operation');
+    if (!this.columnsMap.get(qualifiedName)) {
+      throw new Error(`Table ${tableName} columns not found. Call addTable() first.`);
     }
 
-    const query = `
-            INSERT INTO ${tableName} (${keys.join(', ')})
-            VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
-            RETURNING *`;
+    return {
+      schema,
+      name: table,
+      qualifiedName,
+      type: this.tableTypeMap.get(qualifiedName) || null,
+      columns: this.columnInfoMap.get(qualifiedName) || [],
+      primaryKey: this.primaryKeyColumnsMap.get(qualifiedName) || [],
+      uniqueConstraints: this.uniqueConstraintsMap.get(qualifiedName) || [],
+      foreignKeys: this.foreignKeysMap.get(qualifiedName) || []
+    };
+  }
 
-    console.debug(query);
-    console.debug(values);
+  /**
+   * Relations of a table derived from discovered foreign keys. Its own foreign
+   * keys are belongs-to relations, named after the column without _id (or
+   * the referenced table); foreign keys pointing at it are has-many
+   * relations, named after the referencing table. A relation whose name
+   * would clash with a column is named after its constraint.
+   * @param {string} tableName - Table name
+   * @returns {Array<Object>} { name, constraint, type, table, localColumns, foreignColumns }
+   */
+  getRelations(tableName) {
+    const qualifiedName = this.qualifyTableName(tableName);
+    const columns = this.columnsMap.get(qualifiedName) || [];
+    const relations = [];
+    const toName = (name, constraint) => (columns.includes(name) ? constraint : name);
 
-    const result = await this.client.query(query, values);
-    return result.rows[0]; // Return single object for create
-  }
+    for (const foreignKey of this.foreignKeysMap.get(qualifiedName) || []) {
+      const [column] = foreignKey.columns;
+      const name = foreignKey.columns.length === 1 && /.+_id$/.test(column)
+        ? column.slice(0, -3)
+        : this.resolveTableName(foreignKey.referencedTable).table;
 
-  async upsert(tableName, data, conditions) {
-    if (!this.client) {
-      await this.initialize();
+      relations.push({
+        name: toName(name, foreignKey.name),
+        constraint: foreignKey.name,
+        type: 'belongsTo',
+        table: foreignKey.referencedTable,
+        localColumns: foreignKey.columns,
+        foreignColumns: foreignKey.referencedColumns
+      });
     }
 
-    const filteredData = this.filterWithTableColumnName(data, tableName);
-    const keys = Object.keys(filteredData);
-    const values = Object.values(filteredData);
-
-    if (keys.length === 0) {
-      throw new Error('No valid columns found for upsert operation');
+    for (const [referencingTable, foreignKeys] of this.foreignKeysMap) {
+      for (const foreignKey of foreignKeys.filter(item => item.referencedTable === qualifiedName)) {
+        relations.push({
+          name: toName(this.resolveTableName(referencingTable).table, foreignKey.name),
+          constraint: foreignKey.name,
+          type: 'hasMany',
+          table: referencingTable,
+          localColumns: foreignKey.referencedColumns,
+          foreignColumns: foreignKey.columns
+        });
+      }
     }
 
-    const { params: conditionParams } = this.toConditionClause(conditions);
-    const allParams = [...values, ...conditionParams];
+    return relations;
+  }
 
-    let uniqueColumns = this.primaryKeyColumnsMap.get(tableName);
-    if (!uniqueColumns || uniqueColumns.length === 0) {
-      uniqueColumns = this.uniqueColumnsMap.get(tableName);
-    }
+  findRelation(tableName, name) {
+    const relations = this.getRelations(tableName);
+    let matches = relations.filter(relation => relation.name === name);
 
-    if (!uniqueColumns || uniqueColumns.length === 0) {
-      throw new Error(`No unique constraints found for table ${tableName}`);
+    if (matches.length === 0) {
+      matches = relations.filter(relation => relation.constraint === name);
     }
+    if (matches.length === 0) {
+      throw new Error(`Unknown relation ${name} for table ${tableName}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Relation ${name} of table ${tableName} is ambiguous; include it by constraint name: ${
+        matches.map(relation => relation.constraint).join(', ')}`);
+    }
+    return matches[0];
+  }
 
-    const query = `
-            INSERT INTO ${tableName} (${keys.join(', ')})
-            VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
-            ON CONFLICT (${uniqueColumns.join(', ')})
-            DO UPDATE SET ${keys.map((key, i) => `${key} = $${i + 1}`).join(', ')}
-            RETURNING *`;
-
-    console.debug(query);
-    console.debug(allParams);
+  getTableOptions(tableName) {
+    return this.tableOptionsMap.get(this.qualifyTableName(tableName)) || {};
+  }
 
-    const result = await this.client.query(query, allParams);
-    return result.rows[0]; // Return single object for upsert
+  getSoftDeleteColumn(tableName) {
+    return this.toSoftDeleteColumn(this.getTableOptions(tableName).softDelete);
   }
 
-  async update(tableName, data, conditions) {
-    if (!this.client) {
-      await this.initialize();
-    }
+  // softDelete: true means the conventional deleted_at column
+  toSoftDeleteColumn(softDelete) {
+    return softDelete === true ? 'deleted_at' : softDelete || null;
+  }
 
-    const filteredData = this.filterWithTableColumnName(data, tableName);
-        
-    if (Object.keys(filteredData).length === 0) {
-      throw new Error('No valid columns found for update operation');
-    }
+  getVersionColumn(tableName) {
+    return this.toVersionColumn(this.getTableOptions(tableName).version);
+  }
 
-    const { whereClause, params: conditionParams } = this.toConditionClause(conditions);
-    const updateParams = Object.values(filteredData);
-    const allParams = [...updateParams, ...conditionParams];
+  toVersionColumn(version) {
+    return version === true ? 'version' : version || null;
+  }
 
-    const query = `
-            UPDATE ${tableName}
-            SET ${Object.keys(filteredData).map((key, i) => `${key} = $${i + 1}`).join(', ')}
-            WHERE 1 = 1 ${whereClause}
-            RETURNING *`;
+  /**
+   * WHERE fragment hiding soft-deleted rows of a soft delete table, or ''.
+   * options.withDeleted includes them and options.onlyDeleted returns only them.
+   * @param {string} tableName - Table being queried
+   * @param {Object} options - { withDeleted, onlyDeleted }
+   * @param {string} prefix - Quoted table qualifier, or ''
+   * @returns {string} AND-prefixed SQL fragment
+   */
+  toSoftDeleteClause(tableName, options = {}, prefix = '') {
+    const column = this.getSoftDeleteColumn(tableName);
 
-    const result = await this.client.query(query, allParams);
-    return result.rows;
+    if (!column || (options.withDeleted && !options.onlyDeleted)) {
+      return '';
+    }
+    return ` AND ${prefix}${this.sqlUtility.quoteIdentifier(column)} ${options.onlyDeleted ? 'IS NOT NULL' : 'IS NULL'}`;
   }
 
-  async read(tableName, conditions = {}) {
-    if (!this.client) {
-      await this.initialize();
-    }
+  /**
+   * Columns the accessor stamps on writes. Each falls back to created_at or
+   * updated_at when the table has such a timestamp or date column, unless set
+   * to false; timestamps: false turns both off.
+   * @param {string} tableName - Table name
+   * @returns {Object} { createdAt, updatedAt }, each a column name or null
+   */
+  getTimestampColumns(tableName) {
+    const { timestamps } = this.getTableOptions(tableName);
 
-    const { whereClause, params } = this.toConditionClause(conditions);
+    if (timestamps === false) {
+      return { createdAt: null, updatedAt: null };
+    }
 
-    const query = `
-            SELECT *
-            FROM ${tableName}
-            WHERE 1 = 1 ${whereClause}`;
+    const settings = timestamps || {};
+    const resolve = (setting, conventional) => {
+      if (setting === false) {
+        return null;
+      }
+      if (setting) {
+        return setting;
+      }
+      // An epoch bigint or text column of that name is left to its own default
+      const info = this.getColumnInfo(tableName, conventional);
+      return info && !info.isArray && TIMESTAMP_TYPES.includes(info.udtName) ? conventional : null;
+    };
 
-    const result = await this.client.query(query, params);
-    return result.rows;
+    return { createdAt: resolve(settings.createdAt, 'created_at'), updatedAt: resolve(settings.updatedAt, 'updated_at') };
   }
 
-  async delete(tableName, conditions) {
-    if (!this.client) {
-      await this.initialize();
+  // Inserts get both timestamps, updates only updatedAt; values the caller supplied are kept
+  addTimestamps(tableName, rows, operation) {
+    const { createdAt, updatedAt } = this.getTimestampColumns(tableName);
+    const columns = (operation === 'update' ? [updatedAt] : [createdAt, updatedAt]).filter(Boolean);
+
+    if (columns.length === 0) {
+      return rows;
     }
 
-    const { whereClause, params } = this.toConditionClause(conditions);
+    const now = new Date();
+    return rows.map((row) => {
+      const stamped = { ...row };
+      for (const column of columns) {
+        if (!Object.prototype.hasOwnProperty.call(stamped, column)) {
+          stamped[column] = now;
+        }
+      }
+      return stamped;
+    });
+  }
 
-    const query = `
-            DELETE
-            FROM ${tableName}
-            WHERE 1 = 1 ${whereClause}
-            RETURNING *`;
-            
-    const result = await this.client.query(query, params);
-    return result.rows;
+  getColumnInfo(tableName, column) {
+    const columns = this.columnInfoMap.get(this.qualifyTableName(tableName));
+    return columns ? columns.find(info => info.name === column) : undefined;
   }
 
-  async query(query, params = []) {
-    if (!this.client) {
-      await this.initialize();
+  filterWithTableColumnName(data, tableName) {
+    const filteredData = {};
+
+    if (data) {
+      const tableColumns = this.columnsMap.get(this.qualifyTableName(tableName));
+
+      if (!tableColumns) {
+        throw new Error(`Table ${tableName} columns not found. Call addTable() first.`);
+      }
+
+      // Objects bound for json/jsonb columns, and array update operators, are kept whole
+      const intactColumns = (this.columnInfoMap.get(this.qualifyTableName(tableName)) || [])
+        .filter(column => column.isArray || column.udtName === 'json' || column.udtName === 'jsonb')
+        .map(column => column.name);
+      const dataMap = this.objectUtility.convertObjectToFlat(data, '', key => intactColumns.includes(key));
+
+      for (const key in dataMap) {
+        if (tableColumns.includes(key) && dataMap[key] !== undefined) {
+          filteredData[key] = dataMap[key];
+        }
+      }
     }
 
-    console.debug(query);
-    console.debug(params);
-        
-    const result = await this.client.query(query, params);
-    console.debug(result.rows);
+    return filteredData;
+  }
+
+  /**
+   * Convert result rows back to camelCase objects, nesting the prefixes in the
+   * table's shape option, when mapResults is on for the accessor or the call.
+   * @param {string} tableName - Table the rows came from
+   * @param {Array<Object>} rows - Raw result rows
+   * @param {Object} options - Call options; mapResults overrides the accessor setting
+   * @returns {Array<Object>} Mapped or untouched rows
+   */
+  mapRows(tableName, rows, options = {}) {
+    const mapResults = options.mapResults === undefined ? this.mapResults : options.mapResults;
+
+    if (!mapResults) {
+      return rows;
+    }
+
+    const { shape } = this.getTableOptions(tableName);
+    return rows.map(row => this.objectUtility.convertFlatToObject(row, shape));
+  }
+
+  /**
+   * Coerce filtered rows to their column types before they are written.
+   * Every problem across all rows is collected into one ValidationError.
+   * Tables discovered without column type metadata are passed through.
+   * @param {string} tableName - Table the rows are written to
+   * @param {Array<Object>} rows - Rows from filterWithTableColumnName()
+   * @param {Object} options - { partial } skips required columns and allows array updates, { bulk } reports row indexes
+   * @returns {Array<Object>} The coerced rows
+   */
+  validateRows(tableName, rows, options = {}) {
+    const columns = (this.columnInfoMap.get(this.qualifyTableName(tableName)) || [])
+      .filter(column => column.dataType);
+
+    if (columns.length === 0) {
+      return rows;
+    }
+
+    const errors = [];
+    const coercedRows = rows.map((row, index) => {
+      const coerced = { ...row };
+      const addError = (column, message, value) => {
+        errors.push(options.bulk ? { row: index, column, message, value } : { column, message, value });
+      };
+
+      for (const column of columns) {
+        const supplied = Object.prototype.hasOwnProperty.call(row, column.name);
+        const value = row[column.name];
+
+        if (!supplied) {
+          const hasDefault = column.defaultValue !== null || column.isIdentity || column.isGenerated;
+          if (!options.partial && !column.nullable && !hasDefault) {
+            addError(column.name, 'is required', undefined);
+          }
+        } else if (column.isGenerated) {
+          addError(column.name, 'is a generated column and cannot be written', value);
+        } else if (value === null) {
+          if (!column.nullable) {
+            addError(column.name, 'cannot be null', value);
+          }
+        } else {
+          try {
+            coerced[column.name] = options.partial && column.isArray && this.isArrayUpdate(value)
+              ? this.typeUtility.coerceArrayUpdate(value, column)
+              : this.typeUtility.coerce(value, column);
+          } catch (error) {
+            addError(column.name, error.message, value);
+          }
+        }
+      }
+      return coerced;
+    });
+
+    if (errors.length > 0) {
+      throw new ValidationError(tableName, errors);
+    }
+    return coercedRows;
+  }
+
+  /**
+   * Quote a column name for tableName. Once the table has been discovered
+   * the column must also be one of its columns.
+   * @param {string} tableName - Table the column belongs to
+   * @param {string} column - Column name
+   * @returns {string} Quoted column name
+   */
+  quoteColumn(tableName, column) {
+    const tableColumns = tableName ? this.columnsMap.get(this.qualifyTableName(tableName)) : undefined;
+
+    if (tableColumns && !tableColumns.includes(column)) {
+      throw new InvalidIdentifierError(`Unknown column ${column} for table ${tableName}`, column);
+    }
+    return this.sqlUtility.quoteIdentifier(column);
+  }
+
+  /**
+   * Compile a condition object into an AND-prefixed WHERE fragment.
+   * See ConditionBuilder for the supported syntax ($in, $between, $or, ...).
+   * @param {Object} conditions - Condition object
+   * @param {string} tableName - Table whose columns the keys refer to
+   * @param {number} startIndex - Number of the first $n placeholder
+   * @param {string} qualifier - Optional table name to prefix columns with
+   * @param {boolean} inlineValues - Inline values as quoted literals instead of $n placeholders
+   * @returns {Object} { whereClause, params, hasPredicates }
+   */
+  toConditionClause(conditions, tableName, startIndex = 1, qualifier, inlineValues = false) {
+    const prefix = qualifier ? `${this.sqlUtility.quoteIdentifier(qualifier)}.` : '';
+    const builder = new ConditionBuilder({
+      resolveColumn: key => this.toConditionColumn(tableName, key, prefix),
+      normalizeOperator: operator => this.sqlUtility.normalizeOperator(operator),
+      getColumnInfo: key => this.toConditionColumnInfo(tableName, key),
+      startIndex,
+      toLiteral: inlineValues ? value => this.sqlUtility.quoteLiteral(prepareValue(value)) : undefined
+    });
+
+    return builder.build(conditions);
+  }
+
+  /**
+   * Resolve a condition key to SQL. A json/jsonb column may be followed by a
+   * path such as profile->address->>city; path segments are inlined as
+   * string literals, or as array indexes when they are all digits.
+   * @param {string} tableName - Table the key refers to
+   * @param {string} key - Column name, optionally with a JSON path
+   * @param {string} prefix - Quoted table qualifier, or ''
+   * @returns {string} SQL expression
+   */
+  toConditionColumn(tableName, key, prefix = '') {
+    const [column, ...path] = key.split(/(->>?)/);
+    let expression = prefix + this.quoteColumn(tableName, column);
+
+    if (path.length > 0) {
+      const info = tableName ? this.getColumnInfo(tableName, column) : undefined;
+      if (info && info.udtName !== 'json' && info.udtName !== 'jsonb') {
+        throw new InvalidIdentifierError(`Column ${column} of table ${tableName} is not a json or jsonb column`, key);
+      }
+    }
+
+    for (let i = 0; i < path.length; i += 2) {
+      const [operator, segment] = [path[i], path[i + 1]];
+      // ->> yields text, so it can only end a path
+      if (!segment || (operator === '->>' && i + 2 < path.length)) {
+        throw new InvalidIdentifierError(`Invalid JSON path: ${key}`, key);
+      }
+      expression += ` ${operator} ${/^\d+$/.test(segment) ? segment : this.sqlUtility.quoteLiteral(segment)}`;
+    }
+    return expression;
+  }
+
+  toConditionColumnInfo(tableName, key) {
+    const [column, ...path] = key.split(/(->>?)/);
+    const info = tableName ? this.getColumnInfo(tableName, column) : undefined;
+
+    if (path.length === 0) {
+      return info && info.isArray ? { ...info, sqlType: this.toSqlType(info) } : info;
+    }
+    return { udtName: path[path.length - 2] === '->>' ? 'text' : (info ? info.udtName : 'jsonb'), isArray: false };
+  }
+
+  /**
+   * Quoted type name of a column, for casting parameters.
+   * @param {Object} info - Column metadata
+   * @param {boolean} element - For array columns, name the element type instead
+   * @returns {string} e.g. "pg_catalog"."_text"
+   */
+  toSqlType(info, element = false) {
+    const udtName = element ? info.udtName.replace(/^_/, '') : info.udtName;
+    return `${this.sqlUtility.quoteIdentifier(info.udtSchema)}.${this.sqlUtility.quoteIdentifier(udtName)}`;
+  }
+
+  /**
+   * Insert a single row.
+   * @param {string} tableName - Table to insert into
+   * @param {Object} data - Row data; nested objects are flattened to snake_case columns
+   * @param {Object} options - { mapResults }
+   * @returns {Promise<Object>} The inserted row
+   */
+  async create(tableName, data, options = {}) {
+    return this.withHooks('Create', { tableName, method: 'create', data, options }, ctx => (
+      this.createRow(tableName, ctx.data, ctx.options)
+    ));
+  }
+
+  async createRow(tableName, data, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const filteredData = this.filterWithTableColumnName(data, tableName);
+
+    if (Object.keys(filteredData).length === 0) {
+      throw new Error('No valid columns found for create operation');
+    }
+
+    const row = this.validateRows(tableName, this.addTimestamps(tableName, [filteredData], 'create'))[0];
+    const keys = Object.keys(row);
+    const values = Object.values(row);
+
+    const query = `
+            INSERT INTO ${this.quoteTable(tableName)} (${keys.map(key => this.sqlUtility.quoteIdentifier(key)).join(', ')})
+            VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+            RETURNING *`;
+
+    const result = await this.executeQuery(query, values, keys);
+    return this.mapRows(tableName, result.rows, options)[0]; // Return single object for create
+  }
+
+  /**
+   * Insert many rows with multi-row VALUES statements. Rows may supply
+   * different columns; columns a row does not supply get their DEFAULT.
+   * Rows are split into chunks that stay under PostgreSQL's parameter limit.
+   * @param {string} tableName - Table to insert into
+   * @param {Array<Object>} dataArray - Rows to insert
+   * @param {Object} options - { chunkSize, transaction, mapResults }
+   * @returns {Promise<Array>} All inserted rows
+   */
+  async createMany(tableName, dataArray, options = {}) {
+    return this.withHooks('Create', { tableName, method: 'createMany', data: dataArray, options }, ctx => (
+      this.createRows(tableName, ctx.data, ctx.options)
+    ));
+  }
+
+  async createRows(tableName, dataArray, options) {
+    if (!Array.isArray(dataArray)) {
+      throw new Error('createMany expects an array of objects');
+    }
+
+    if (dataArray.length === 0) {
+      return [];
+    }
+
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    // Several chunks only succeed or fail together inside one transaction
+    if (options.transaction && this.transactionDepth === 0) {
+      return this.transaction(tx => tx.createRows(tableName, dataArray, { ...options, transaction: false }));
+    }
+
+    const filteredRows = dataArray.map(data => this.filterWithTableColumnName(data, tableName));
+
+    if (this.toColumnUnion(filteredRows).length === 0) {
+      throw new Error('No valid columns found for createMany operation');
+    }
+
+    const rows = this.validateRows(tableName, this.addTimestamps(tableName, filteredRows, 'create'), { bulk: true });
+    const columns = this.toColumnUnion(rows);
+
+    const insertedRows = [];
+
+    for (const chunk of this.toChunks(rows, columns.length, options.chunkSize)) {
+      const { valuesClause, params, paramColumns } = this.toValuesClause(columns, chunk);
+
+      const query = `
+            INSERT INTO ${this.quoteTable(tableName)} (${columns.map(column => this.sqlUtility.quoteIdentifier(column)).join(', ')})
+            VALUES ${valuesClause}
+            RETURNING *`;
+
+      const result = await this.executeQuery(query, params, paramColumns);
+      insertedRows.push(...result.rows);
+    }
+
+    return this.mapRows(tableName, insertedRows, options);
+  }
+
+  toColumnUnion(rows) {
+    const columns = [];
+
+    for (const row of rows) {
+      for (const column of Object.keys(row)) {
+        if (!columns.includes(column)) {
+          columns.push(column);
+        }
+      }
+    }
+    return columns;
+  }
+
+  // reservedParams: parameters every chunk binds besides the row values
+  toChunks(rows, columnCount, chunkSize, reservedParams = 0) {
+    let rowsPerChunk = Math.max(1, Math.floor((MAX_QUERY_PARAMETERS - reservedParams) / columnCount));
+
+    if (chunkSize !== undefined) {
+      if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+        throw new Error('chunkSize must be a positive integer');
+      }
+      rowsPerChunk = Math.min(rowsPerChunk, chunkSize);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < rows.length; i += rowsPerChunk) {
+      chunks.push(rows.slice(i, i + rowsPerChunk));
+    }
+    return chunks;
+  }
+
+  toValuesClause(columns, rows, startIndex = 1) {
+    const params = [];
+    const paramColumns = [];
+
+    const tuples = rows.map((row) => {
+      const placeholders = columns.map((column) => {
+        if (!Object.prototype.hasOwnProperty.call(row, column)) {
+          return 'DEFAULT';
+        }
+        params.push(row[column]);
+        paramColumns.push(column);
+        return `$${startIndex + params.length - 1}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    return { valuesClause: tuples.join(', '), params, paramColumns };
+  }
+
+  /**
+   * Insert a row, or update it when it conflicts with a unique constraint.
+   * Without options.conflictTarget the primary key, then each unique
+   * constraint, is tried until one whose columns are all present in data.
+   * @param {string} tableName - Table to upsert into
+   * @param {Object} data - Row data
+   * @param {Object} conditions - Only update the existing row when it matches
+   * @param {Object} options - { conflictTarget, updateColumns, doNothing, returnStatus, mapResults, expectedVersion }
+   * @returns {Promise<Object>} The row, or { row, inserted } with returnStatus
+   */
+  async upsert(tableName, data, conditions, options = {}) {
+    return this.withHooks('Upsert', { tableName, method: 'upsert', data, conditions, options }, ctx => (
+      this.upsertRow(tableName, ctx.data, ctx.conditions, ctx.options)
+    ));
+  }
+
+  async upsertRow(tableName, data, conditions, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const filteredData = this.filterWithTableColumnName(data, tableName);
+
+    if (Object.keys(filteredData).length === 0) {
+      throw new Error('No valid columns found for upsert operation');
+    }
+
+    const versionColumn = this.getVersionColumn(tableName);
+    if (versionColumn && options.expectedVersion !== undefined) {
+      filteredData[versionColumn] = options.expectedVersion;
+    }
+
+    const rows = this.validateRows(tableName, this.addTimestamps(tableName, [filteredData], 'create'));
+    const results = await this.executeUpsert(tableName, rows, conditions, options);
+    return options.returnStatus
+      ? (results[0] || { row: null, inserted: false })
+      : (results[0] ? results[0].row : undefined);
+  }
+
+  /**
+   * Upsert many rows with multi-row INSERT ... ON CONFLICT statements.
+   * A single statement cannot touch the same conflicting row twice, so
+   * dataArray must not contain duplicate conflict keys.
+   * @param {string} tableName - Table to upsert into
+   * @param {Array<Object>} dataArray - Rows to upsert
+   * @param {Object} conditions - Only update existing rows that match
+   * @param {Object} options - upsert() options plus { chunkSize, transaction }
+   * @returns {Promise<Array>} Affected rows, or { row, inserted } entries with returnStatus
+   */
+  async upsertMany(tableName, dataArray, conditions, options = {}) {
+    return this.withHooks('Upsert', { tableName, method: 'upsertMany', data: dataArray, conditions, options }, ctx => (
+      this.upsertRows(tableName, ctx.data, ctx.conditions, ctx.options)
+    ));
+  }
+
+  async upsertRows(tableName, dataArray, conditions, options) {
+    if (!Array.isArray(dataArray)) {
+      throw new Error('upsertMany expects an array of objects');
+    }
+
+    if (dataArray.length === 0) {
+      return [];
+    }
+
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    if (options.transaction && this.transactionDepth === 0) {
+      return this.transaction(tx => tx.upsertRows(tableName, dataArray, conditions, { ...options, transaction: false }));
+    }
+
+    const filteredRows = dataArray.map(data => this.filterWithTableColumnName(data, tableName));
+
+    if (this.toColumnUnion(filteredRows).length === 0) {
+      throw new Error('No valid columns found for upsert operation');
+    }
+
+    const rows = this.validateRows(tableName, this.addTimestamps(tableName, filteredRows, 'create'), { bulk: true });
+
+    const results = await this.executeUpsert(tableName, rows, conditions, options);
+    return options.returnStatus ? results : results.map(result => result.row);
+  }
+
+  async executeUpsert(tableName, rows, conditions, options) {
+    const columns = this.toColumnUnion(rows);
+    const conflict = this.toConflictTarget(tableName, columns, options.conflictTarget);
+    const quotedTable = this.quoteTable(tableName);
+    const quote = column => this.sqlUtility.quoteIdentifier(column);
+    const target = quote(this.resolveTableName(tableName).table);
+    const versionColumn = options.doNothing ? null : this.getVersionColumn(tableName);
+    // Rows that carry a version only overwrite the existing row at that version
+    const versioned = Boolean(versionColumn) && columns.includes(versionColumn);
+    if (versioned && rows.some(row => !Object.prototype.hasOwnProperty.call(row, versionColumn))) {
+      throw new Error(`Either every row or none must supply version column ${versionColumn} for table ${tableName}`);
+    }
+    const results = [];
+    const conditionClause = options.doNothing ? null : this.toConditionClause(conditions, tableName);
+    const conditionParamCount = conditionClause ? conditionClause.params.length : 0;
+    const conditioned = Boolean(conditionClause) && conditionClause.hasPredicates;
+
+    for (const chunk of this.toChunks(rows, columns.length, options.chunkSize, conditionParamCount)) {
+      const { valuesClause, params, paramColumns } = this.toValuesClause(columns, chunk);
+      let action = 'DO NOTHING';
+
+      if (!options.doNothing) {
+        const updateColumns = this.toUpdateColumns(tableName, columns, conflict.columns, options.updateColumns)
+          .filter(column => column !== versionColumn);
+        const setExpressions = updateColumns.map(column => `${quote(column)} = EXCLUDED.${quote(column)}`);
+        if (versionColumn) {
+          setExpressions.push(`${quote(versionColumn)} = ${target}.${quote(versionColumn)} + 1`);
+        }
+
+        // Columns in the WHERE must name the target table; bare names clash with EXCLUDED
+        const { whereClause, params: conditionParams, paramColumns: conditionColumns } = this.toConditionClause(
+          conditions, tableName, params.length + 1, this.resolveTableName(tableName).table
+        );
+        params.push(...conditionParams);
+        paramColumns.push(...conditionColumns);
+        const versionClause = versioned ? ` AND ${target}.${quote(versionColumn)} = EXCLUDED.${quote(versionColumn)}` : '';
+
+        action = `DO UPDATE SET ${setExpressions.join(', ')}
+            WHERE 1 = 1 ${whereClause}${versionClause}`;
+      }
+
+      const query = `
+            INSERT INTO ${quotedTable} (${columns.map(quote).join(', ')})
+            VALUES ${valuesClause}
+            ON CONFLICT ${conflict.clause}
+            ${action}
+            RETURNING *, (xmax = 0) AS "${UPSERT_STATUS_COLUMN}"`;
+
+      const result = await this.executeQuery(query, params, paramColumns);
+      if (versioned) {
+        await this.assertUpsertedRows(tableName, chunk, result.rows, conflict.columns, versionColumn, conditioned);
+      }
+
+      for (const row of result.rows) {
+        const inserted = row[UPSERT_STATUS_COLUMN];
+        delete row[UPSERT_STATUS_COLUMN];
+        results.push({ row: this.mapRows(tableName, [row], options)[0], inserted });
+      }
+    }
+
+    return results;
+  }
+
+  // A versioned row that neither inserted nor updated lost to a concurrent write. Every row
+  // returns at most once, so a short count proves it; the keys only tell which row it was.
+  // With conditions, rows still at their version were skipped by them instead
+  async assertUpsertedRows(tableName, rows, returnedRows, conflictColumns, versionColumn, conditioned) {
+    const missing = rows.length - returnedRows.length;
+    if (missing <= 0) {
+      return;
+    }
+
+    const toKey = row => JSON.stringify(conflictColumns.map(column => String(row[column])));
+    const returnedKeys = new Set(returnedRows.map(toKey));
+    let candidates = rows.filter(row => !returnedKeys.has(toKey(row)));
+
+    if (conditioned) {
+      const { whereClause, params, paramColumns } = this.toConditionClause({
+        $or: candidates.map(row => ({
+          ...Object.fromEntries(conflictColumns.map(column => [column, row[column]])),
+          [versionColumn]: { $eq: row[versionColumn] }
+        }))
+      }, tableName);
+      const { rows: skipped } = await this.executeQuery(`
+            SELECT ${conflictColumns.map(column => this.sqlUtility.quoteIdentifier(column)).join(', ')}
+            FROM ${this.quoteTable(tableName)}
+            WHERE 1 = 1 ${whereClause}`, params, paramColumns);
+
+      if (skipped.length >= missing) {
+        return;
+      }
+      const skippedKeys = new Set(skipped.map(toKey));
+      candidates = candidates.filter(row => !skippedKeys.has(toKey(row)));
+    }
+
+    const stale = candidates[0] || rows[0];
+    const conditions = Object.fromEntries(conflictColumns.map(column => [column, stale[column]]));
+    throw new StaleRecordError(tableName, conditions, stale[versionColumn]);
+  }
+
+  /**
+   * Resolve the ON CONFLICT target for an upsert.
+   * @param {string} tableName - Table being upserted
+   * @param {Array<string>} columns - Columns supplied by the data
+   * @param {string|Array<string>} conflictTarget - Constraint name or column list
+   * @returns {Object} { clause, columns }
+   */
+  toConflictTarget(tableName, columns, conflictTarget) {
+    const quote = column => this.sqlUtility.quoteIdentifier(column);
+    const qualifiedName = this.qualifyTableName(tableName);
+    const primaryKey = this.primaryKeyColumnsMap.get(qualifiedName) || [];
+    const constraints = [...(this.uniqueConstraintsMap.get(qualifiedName) || [])];
+
+    if (primaryKey.length > 0) {
+      constraints.unshift({ name: this.primaryKeyNameMap.get(qualifiedName), columns: primaryKey });
+    }
+
+    if (typeof conflictTarget === 'string') {
+      const constraint = constraints.find(item => item.name === conflictTarget);
+      if (!constraint) {
+        throw new Error(`Unknown unique constraint ${conflictTarget} for table ${tableName}`);
+      }
+      return { clause: `ON CONSTRAINT ${quote(constraint.name)}`, columns: constraint.columns };
+    }
+
+    if (Array.isArray(conflictTarget)) {
+      if (conflictTarget.length === 0) {
+        throw new Error('conflictTarget must list at least one column');
+      }
+      return {
+        clause: `(${conflictTarget.map(column => this.quoteColumn(tableName, column)).join(', ')})`,
+        columns: conflictTarget
+      };
+    }
+
+    if (constraints.length === 0) {
+      throw new Error(`No unique constraints found for table ${tableName}`);
+    }
+
+    const constraint = constraints.find(item => item.columns.every(column => columns.includes(column)));
+    if (!constraint) {
+      throw new Error(`Data for table ${tableName} does not include all columns of any unique constraint`);
+    }
+    return { clause: `(${constraint.columns.map(quote).join(', ')})`, columns: constraint.columns };
+  }
+
+  // created_at keeps the value of the first insert; updated_at follows every update
+  toUpdateColumns(tableName, columns, conflictColumns, updateColumns) {
+    const { createdAt, updatedAt } = this.getTimestampColumns(tableName);
+    let setColumns;
+
+    if (updateColumns && updateColumns.length > 0) {
+      for (const column of updateColumns) {
+        if (!columns.includes(column)) {
+          throw new InvalidIdentifierError(`Update column ${column} is not supplied in the data for table ${tableName}`, column);
+        }
+      }
+      setColumns = updatedAt && columns.includes(updatedAt) && !updateColumns.includes(updatedAt)
+        ? [...updateColumns, updatedAt]
+        : updateColumns;
+    } else {
+      setColumns = columns.filter(column => !conflictColumns.includes(column));
+    }
+
+    setColumns = setColumns.filter(column => column !== createdAt);
+    // With nothing else to update, rewrite the key so RETURNING still yields the row
+    return setColumns.length > 0 ? setColumns : conflictColumns.filter(column => columns.includes(column));
+  }
+
+  /**
+   * Update rows matching conditions.
+   * @param {string} tableName - Table to update
+   * @param {Object} data - Column values to set
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { mapResults, allowAll, maxAffectedRows, withDeleted, onlyDeleted, expectedVersion }
+   * @returns {Promise<Array>} Updated rows
+   */
+  async update(tableName, data, conditions, options = {}) {
+    return this.withHooks('Update', { tableName, method: 'update', data, conditions, options }, ctx => (
+      this.updateRows(tableName, ctx.data, ctx.conditions, ctx.options)
+    ));
+  }
+
+  async updateRows(tableName, data, conditions, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const filteredData = this.filterWithTableColumnName(data, tableName);
+        
+    if (Object.keys(filteredData).length === 0) {
+      throw new Error('No valid columns found for update operation');
+    }
+
+    // The version column is never set from data: its value there is the version the caller read
+    const versionColumn = this.getVersionColumn(tableName);
+    let expectedVersion;
+    if (versionColumn) {
+      expectedVersion = options.expectedVersion !== undefined ? options.expectedVersion : filteredData[versionColumn];
+      delete filteredData[versionColumn];
+    }
+
+    const updateParams = [];
+    const updateColumns = [];
+    const setExpressions = Object.entries(this.validateRows(tableName, this.addTimestamps(tableName, [filteredData], 'update'), { partial: true })[0])
+      .map(([key, value]) => `${this.sqlUtility.quoteIdentifier(key)} = ${this.toSetExpression(tableName, key, value, updateParams, updateColumns)}`);
+    if (versionColumn) {
+      const quotedVersion = this.sqlUtility.quoteIdentifier(versionColumn);
+      setExpressions.push(`${quotedVersion} = ${quotedVersion} + 1`);
+    }
+
+    const { whereClause, params: conditionParams, paramColumns: conditionColumns, hasPredicates } = this.toConditionClause(
+      conditions, tableName, updateParams.length + 1
+    );
+    this.assertConditioned('update', tableName, hasPredicates, options);
+    const allParams = [...updateParams, ...conditionParams];
+    const paramColumns = [...updateColumns, ...conditionColumns];
+
+    let versionClause = '';
+    if (expectedVersion !== undefined) {
+      allParams.push(expectedVersion);
+      paramColumns.push(versionColumn);
+      versionClause = ` AND ${this.sqlUtility.quoteIdentifier(versionColumn)} = $${allParams.length}`;
+    }
+
+    const query = `
+            UPDATE ${this.quoteTable(tableName)}
+            SET ${setExpressions.join(', ')}
+            WHERE 1 = 1 ${whereClause}${versionClause}${this.toSoftDeleteClause(tableName, options)}
+            RETURNING *`;
+
+    const result = await this.executeLimitedWrite(tableName, query, allParams, paramColumns, options);
+    if (expectedVersion !== undefined && result.rows.length === 0) {
+      throw new StaleRecordError(tableName, conditions, expectedVersion);
+    }
+    return this.mapRows(tableName, result.rows, options);
+  }
+
+  // Conditions that narrow nothing ({ id: undefined }, { $or: [{ id: undefined }] }) would match every row
+  assertConditioned(operation, tableName, hasPredicates, options) {
+    if (!hasPredicates && !options.allowAll) {
+      throw new UnsafeOperationError(
+        `Refusing to ${operation} every row of table ${tableName}: no conditions given. Pass { allowAll: true } to ${operation} all rows.`,
+        tableName
+      );
+    }
+  }
+
+  /**
+   * Run an UPDATE or DELETE ... RETURNING, rolling it back when it affects
+   * more than options.maxAffectedRows rows.
+   * @param {string} tableName - Table being written
+   * @param {string} query - Statement to run
+   * @param {Array} params - Statement parameters
+   * @param {Array<string|null>} paramColumns - Column each parameter is bound to
+   * @param {Object} options - { maxAffectedRows }
+   * @returns {Promise<Object>} Query result
+   */
+  async executeLimitedWrite(tableName, query, params, paramColumns, options) {
+    if (options.maxAffectedRows === undefined) {
+      return this.executeQuery(query, params, paramColumns);
+    }
+
+    const maxAffectedRows = this.toNonNegativeInteger(options.maxAffectedRows, 'maxAffectedRows');
+
+    return this.transaction(async (tx) => {
+      const result = await tx.executeQuery(query, params, paramColumns);
+      if (result.rows.length > maxAffectedRows) {
+        throw new UnsafeOperationError(
+          `Statement on table ${tableName} affected ${result.rows.length} rows, more than maxAffectedRows (${maxAffectedRows}); rolled back`,
+          tableName,
+          result.rows.length
+        );
+      }
+      return result;
+    });
+  }
+
+  /**
+   * SQL for the new value of a column in an UPDATE. Array columns accept
+   * { $append: x } and { $remove: x }; an array operand appends or removes
+   * every element.
+   * @param {string} tableName - Table being updated
+   * @param {string} column - Column name
+   * @param {*} value - New value or array update
+   * @param {Array} params - Parameter list to add to
+   * @param {Array} paramColumns - Column list to record each parameter's column in
+   * @returns {string} SQL expression
+   */
+  toSetExpression(tableName, column, value, params, paramColumns) {
+    const addParam = (param) => {
+      params.push(param);
+      paramColumns.push(column);
+      return `$${params.length}`;
+    };
+    const info = this.getColumnInfo(tableName, column);
+
+    if (!info || !info.isArray || !this.isArrayUpdate(value)) {
+      return addParam(value);
+    }
+
+    const elementType = this.toSqlType(info, true);
+    let expression = this.sqlUtility.quoteIdentifier(column);
+
+    for (const [operator, operand] of Object.entries(value)) {
+      if (operator === '$append') {
+        expression = Array.isArray(operand)
+          ? `array_cat(${expression}, ${addParam(operand)}::${this.toSqlType(info)})`
+          : `array_append(${expression}, ${addParam(operand)}::${elementType})`;
+      } else {
+        for (const element of Array.isArray(operand) ? operand : [operand]) {
+          expression = `array_remove(${expression}, ${addParam(element)}::${elementType})`;
+        }
+      }
+    }
+    return expression;
+  }
+
+  isArrayUpdate(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return false;
+    }
+
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => key === '$append' || key === '$remove');
+  }
+
+  /**
+   * Read rows matching conditions.
+   * @param {string} tableName - Table to read from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { columns, orderBy, limit, offset, include, mapResults, withDeleted, onlyDeleted }
+   * @returns {Promise<Array>} Matching rows
+   */
+  async read(tableName, conditions = {}, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    return this.withHooks('Read', { tableName, method: 'read', conditions, options }, async (ctx) => {
+      const rows = await this.readRows(tableName, ctx.conditions, ctx.options);
+      return this.mapRows(tableName, rows, ctx.options);
+    });
+  }
+
+  // Unmapped rows with their included relations attached
+  async readRows(tableName, conditions, options) {
+    const { query, params, paramColumns } = this.buildSelectQuery(tableName, conditions, options);
+
+    const result = await this.executeQuery(query, params, paramColumns);
+    if (options.include) {
+      await this.loadIncludes(tableName, result.rows, options.include, options);
+    }
+    return result.rows;
+  }
+
+  /**
+   * Load related rows for options.include and nest them into each row:
+   * belongs-to relations as an object (or null), has-many relations as an
+   * array. Each relation is fetched with one query per batch of parent keys.
+   * A relation spec is true or { conditions, columns, orderBy, limit, include,
+   * withDeleted, onlyDeleted }; limit applies per parent row.
+   * @param {string} tableName - Table the rows came from
+   * @param {Array<Object>} rows - Unmapped parent rows, modified in place
+   * @param {Object} include - Relation names mapped to true or a relation spec
+   * @param {Object} options - Read options; mapResults also applies to included rows
+   */
+  async loadIncludes(tableName, rows, include, options) {
+    if (typeof include !== 'object' || Array.isArray(include)) {
+      throw new Error('include must be an object mapping relation names to true or options');
+    }
+
+    for (const [name, value] of Object.entries(include)) {
+      if (!value) {
+        continue;
+      }
+
+      const spec = value === true ? {} : value;
+      const relation = this.findRelation(tableName, name);
+
+      for (const column of relation.localColumns) {
+        if (rows.length > 0 && !Object.prototype.hasOwnProperty.call(rows[0], column)) {
+          throw new Error(`Include ${name} needs column ${column} of table ${tableName} to be selected`);
+        }
+      }
+      const missing = spec.columns && spec.columns.length > 0
+        ? relation.foreignColumns.find(column => !spec.columns.includes(column))
+        : undefined;
+      if (missing) {
+        throw new Error(`Include ${name} needs column ${missing} of table ${relation.table} to be selected`);
+      }
+
+      const related = await this.readRelated(relation, rows, spec, options);
+      this.attachRelated(name, relation, rows, related, options);
+    }
+  }
+
+  async readRelated(relation, rows, spec, options) {
+    const keys = new Map();
+    for (const row of rows) {
+      const values = relation.localColumns.map(column => row[column]);
+      if (values.every(value => value !== null && value !== undefined)) {
+        keys.set(JSON.stringify(values), values);
+      }
+    }
+
+    const related = [];
+    const tuples = [...keys.values()];
+
+    for (let i = 0; i < tuples.length; i += INCLUDE_BATCH_SIZE) {
+      const batch = tuples.slice(i, i + INCLUDE_BATCH_SIZE);
+      const keyCondition = relation.foreignColumns.length === 1
+        ? { [relation.foreignColumns[0]]: { $in: batch.map(values => values[0]) } }
+        : { $or: batch.map(values => Object.fromEntries(relation.foreignColumns.map((column, j) => [column, values[j]]))) };
+      const conditions = spec.conditions ? { $and: [keyCondition, spec.conditions] } : keyCondition;
+      const readOptions = {
+        columns: spec.columns,
+        orderBy: spec.orderBy,
+        include: spec.include,
+        withDeleted: spec.withDeleted,
+        onlyDeleted: spec.onlyDeleted,
+        mapResults: options.mapResults
+      };
+
+      related.push(...(relation.type === 'hasMany' && spec.limit !== undefined
+        ? await this.readLimitedPerKey(relation, conditions, spec.limit, readOptions)
+        : await this.readRows(relation.table, conditions, readOptions)));
+    }
+
+    return related;
+  }
+
+  // At most limit rows for each value of the relation's foreign columns
+  async readLimitedPerKey(relation, conditions, limit, options) {
+    const { whereClause, params, paramColumns } = this.toConditionClause(conditions, relation.table);
+    const partition = relation.foreignColumns.map(column => this.quoteColumn(relation.table, column)).join(', ');
+
+    params.push(this.toNonNegativeInteger(limit, 'limit'));
+    paramColumns.push(null);
+    const query = `
+            SELECT *
+            FROM (SELECT ${this.toColumnList(relation.table, options.columns)},
+                         ROW_NUMBER() OVER (PARTITION BY ${partition}${this.toOrderByClause(relation.table, options.orderBy)}) AS "${INCLUDE_ROW_COLUMN}"
+                  FROM ${this.quoteTable(relation.table)}
+                  WHERE 1 = 1 ${whereClause}${this.toSoftDeleteClause(relation.table, options)}) AS "included"
+            WHERE "${INCLUDE_ROW_COLUMN}" <= $${params.length}
+            ORDER BY ${partition}, "${INCLUDE_ROW_COLUMN}"`;
+
+    const result = await this.executeQuery(query, params, paramColumns);
+    for (const row of result.rows) {
+      delete row[INCLUDE_ROW_COLUMN];
+    }
+    if (options.include) {
+      await this.loadIncludes(relation.table, result.rows, options.include, options);
+    }
+    return result.rows;
+  }
+
+  attachRelated(name, relation, rows, related, options) {
+    const groups = new Map();
+    for (const row of related) {
+      const key = JSON.stringify(relation.foreignColumns.map(column => row[column]));
+      groups.set(key, [...(groups.get(key) || []), row]);
+    }
+
+    for (const row of rows) {
+      const group = groups.get(JSON.stringify(relation.localColumns.map(column => row[column]))) || [];
+      const mapped = this.mapRows(relation.table, group, options);
+      row[name] = relation.type === 'belongsTo' ? (mapped[0] || null) : mapped;
+    }
+  }
+
+  /**
+   * Read one page of rows together with the total number of matching rows.
+   * @param {string} tableName - Table to read from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - Same options as read()
+   * @returns {Promise<Object>} { rows, total, limit, offset }
+   */
+  async readPaginated(tableName, conditions = {}, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const [rows, total] = await Promise.all([
+      this.read(tableName, conditions, options),
+      this.count(tableName, conditions, options)
+    ]);
+
+    return {
+      rows,
+      total,
+      limit: options.limit === undefined ? null : options.limit,
+      offset: options.offset || 0
+    };
+  }
+
+  /**
+   * Read the first row matching conditions.
+   * @param {string} tableName - Table to read from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - read() options (no limit or offset) plus { rejectOnNotFound }
+   * @returns {Promise<Object|null>} The row, or null
+   */
+  async findOne(tableName, conditions = {}, options = {}) {
+    const rows = await this.read(tableName, conditions, { ...options, limit: 1, offset: undefined });
+    return this.toSingleRow(tableName, rows, conditions, options);
+  }
+
+  /**
+   * Read a row by primary key.
+   * @param {string} tableName - Table to read from
+   * @param {*|Object} key - Key value, or an object with every primary key column
+   * @param {Object} options - { columns, include, mapResults, rejectOnNotFound }
+   * @returns {Promise<Object|null>} The row, or null
+   */
+  async findByPk(tableName, key, options = {}) {
+    const conditions = this.toPrimaryKeyConditions(tableName, key);
+    return this.findOne(tableName, conditions, options);
+  }
+
+  /**
+   * Update a row by primary key.
+   * @param {string} tableName - Table to update
+   * @param {*|Object} key - Key value, or an object with every primary key column
+   * @param {Object} data - Column values to set
+   * @param {Object} options - update() options plus { rejectOnNotFound }
+   * @returns {Promise<Object|null>} The updated row, or null
+   */
+  async updateByPk(tableName, key, data, options = {}) {
+    const conditions = this.toPrimaryKeyConditions(tableName, key);
+    const rows = await this.update(tableName, data, conditions, options);
+    return this.toSingleRow(tableName, rows, conditions, options);
+  }
+
+  /**
+   * Delete a row by primary key.
+   * @param {string} tableName - Table to delete from
+   * @param {*|Object} key - Key value, or an object with every primary key column
+   * @param {Object} options - delete() options plus { rejectOnNotFound }
+   * @returns {Promise<Object|null>} The deleted row, or null
+   */
+  async deleteByPk(tableName, key, options = {}) {
+    const conditions = this.toPrimaryKeyConditions(tableName, key);
+    const rows = await this.delete(tableName, conditions, options);
+    return this.toSingleRow(tableName, rows, conditions, options);
+  }
+
+  toPrimaryKeyConditions(tableName, key) {
+    const primaryKey = this.primaryKeyColumnsMap.get(this.qualifyTableName(tableName));
+
+    if (!primaryKey || primaryKey.length === 0) {
+      throw new Error(`No primary key found for table ${tableName}. Call addTable() first.`);
+    }
+
+    if (key === null || key === undefined) {
+      throw new Error(`A primary key value is required for table ${tableName}`);
+    }
+
+    const isKeyObject = typeof key === 'object' && !(key instanceof Date) && !Buffer.isBuffer(key);
+    if (!isKeyObject) {
+      if (primaryKey.length > 1) {
+        throw new Error(`Table ${tableName} has a composite primary key; pass an object with ${primaryKey.join(', ')}`);
+      }
+      return { [primaryKey[0]]: key };
+    }
+
+    const conditions = {};
+    for (const column of primaryKey) {
+      if (key[column] === null || key[column] === undefined) {
+        throw new Error(`Primary key column ${column} is missing for table ${tableName}`);
+      }
+      conditions[column] = key[column];
+    }
+
+    const extra = Object.keys(key).find(column => !primaryKey.includes(column));
+    if (extra) {
+      throw new InvalidIdentifierError(`${extra} is not a primary key column of table ${tableName}`, extra);
+    }
+    return conditions;
+  }
+
+  toSingleRow(tableName, rows, conditions, options) {
+    if (rows.length > 0) {
+      return rows[0];
+    }
+
+    const rejectOnNotFound = options.rejectOnNotFound === undefined ? this.rejectOnNotFound : options.rejectOnNotFound;
+    if (rejectOnNotFound) {
+      throw new NotFoundError(tableName, conditions);
+    }
+    return null;
+  }
+
+  /**
+   * Count rows matching conditions.
+   * @param {string} tableName - Table to count
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { withDeleted, onlyDeleted }
+   * @returns {Promise<number>} Number of matching rows
+   */
+  async count(tableName, conditions = {}, options = {}) {
+    const ctx = await this.runBeforeRead(tableName, 'count', conditions, options);
+    const [row] = await this.aggregateRows(tableName, {
+      ...this.toDeletedOptions(ctx.options),
+      conditions: ctx.conditions,
+      metrics: { count: { count: '*' } }
+    });
+    return row.count;
+  }
+
+  toDeletedOptions(options) {
+    return { withDeleted: options.withDeleted, onlyDeleted: options.onlyDeleted };
+  }
+
+  /**
+   * Check whether any row matches conditions.
+   * @param {string} tableName - Table to check
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { withDeleted, onlyDeleted }
+   * @returns {Promise<boolean>} True when at least one row matches
+   */
+  async exists(tableName, conditions = {}, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const ctx = await this.runBeforeRead(tableName, 'exists', conditions, options);
+    const { whereClause, params, paramColumns } = this.toConditionClause(ctx.conditions, tableName);
+    const query = `
+            SELECT EXISTS (SELECT 1
+                           FROM ${this.quoteTable(tableName)}
+                           WHERE 1 = 1 ${whereClause}${this.toSoftDeleteClause(tableName, ctx.options)}) AS "exists"`;
+
+    const result = await this.executeQuery(query, params, paramColumns);
+    return result.rows[0].exists;
+  }
+
+  async sum(tableName, column, conditions = {}, options = {}) {
+    return this.aggregateColumn(tableName, 'sum', column, conditions, options);
+  }
+
+  async avg(tableName, column, conditions = {}, options = {}) {
+    return this.aggregateColumn(tableName, 'avg', column, conditions, options);
+  }
+
+  async min(tableName, column, conditions = {}, options = {}) {
+    return this.aggregateColumn(tableName, 'min', column, conditions, options);
+  }
+
+  async max(tableName, column, conditions = {}, options = {}) {
+    return this.aggregateColumn(tableName, 'max', column, conditions, options);
+  }
+
+  async aggregateColumn(tableName, fn, column, conditions, options) {
+    const ctx = await this.runBeforeRead(tableName, fn, conditions, options);
+    const [row] = await this.aggregateRows(tableName, {
+      ...this.toDeletedOptions(ctx.options),
+      conditions: ctx.conditions,
+      metrics: { [fn]: { [fn]: column } }
+    });
+    return row[fn];
+  }
+
+  /**
+   * Run an aggregate query. Each metric is { count | sum | avg | min | max: column }
+   * (count also takes '*'), optionally with distinct: true. having is a
+   * condition object over metric aliases and groupBy columns, and orderBy
+   * may name either. bigint and numeric metrics are returned as numbers.
+   * @param {string} tableName - Table to aggregate
+   * @param {Object} options - { conditions, groupBy, metrics, having, orderBy, limit, offset, mapResults, withDeleted, onlyDeleted }
+   * @returns {Promise<Array>} One row per group with the groupBy columns and metrics
+   */
+  async aggregate(tableName, options = {}) {
+    const ctx = await this.runBeforeRead(tableName, 'aggregate', options.conditions, options);
+    return this.aggregateRows(tableName, { ...ctx.options, conditions: ctx.conditions });
+  }
+
+  async aggregateRows(tableName, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const groupBy = options.groupBy ? [].concat(options.groupBy) : [];
+    const metrics = this.toMetrics(tableName, options.metrics, groupBy);
+
+    if (groupBy.length === 0 && metrics.length === 0) {
+      throw new Error('aggregate needs at least one metric or groupBy column');
+    }
+
+    const groupColumns = groupBy.map(column => this.quoteColumn(tableName, column));
+    const selectList = [...groupColumns, ...metrics.map(metric => `${metric.expression} AS ${this.sqlUtility.quoteIdentifier(metric.alias)}`)];
+    const { whereClause, params, paramColumns } = this.toConditionClause(options.conditions, tableName);
+
+    let query = `
+            SELECT ${selectList.join(', ')}
+            FROM ${this.quoteTable(tableName)}
+            WHERE 1 = 1 ${whereClause}${this.toSoftDeleteClause(tableName, options)}`;
+
+    if (groupColumns.length > 0) {
+      query += `
+            GROUP BY ${groupColumns.join(', ')}`;
+    }
+
+    if (options.having) {
+      const resolveColumn = (key) => {
+        const metric = metrics.find(item => item.alias === key);
+        if (metric) {
+          return metric.expression;
+        }
+        if (!groupBy.includes(key)) {
+          throw new InvalidIdentifierError(`having ${key} must be a metric or groupBy column`, key);
+        }
+        return this.quoteColumn(tableName, key);
+      };
+      const { whereClause: havingClause, params: havingParams, paramColumns: havingColumns } = new ConditionBuilder({
+        resolveColumn,
+        normalizeOperator: operator => this.sqlUtility.normalizeOperator(operator),
+        startIndex: params.length + 1
+      }).build(options.having);
+
+      // A metric's value comes from the column it aggregates
+      params.push(...havingParams);
+      paramColumns.push(...havingColumns.map((key) => {
+        const metric = metrics.find(item => item.alias === key);
+        return metric ? metric.column : key;
+      }));
+      query += `
+            HAVING 1 = 1 ${havingClause}`;
+    }
+
+    query += this.toAggregateOrderBy(tableName, options.orderBy, metrics, groupBy);
+
+    if (options.limit !== undefined && options.limit !== null) {
+      params.push(this.toNonNegativeInteger(options.limit, 'limit'));
+      paramColumns.push(null);
+      query += `
+            LIMIT $${params.length}`;
+    }
+
+    if (options.offset !== undefined && options.offset !== null) {
+      params.push(this.toNonNegativeInteger(options.offset, 'offset'));
+      paramColumns.push(null);
+      query += `
+            OFFSET $${params.length}`;
+    }
+
+    const result = await this.executeQuery(query, params, paramColumns);
+    return this.mapRows(tableName, this.toNumericMetrics(result, metrics), options);
+  }
+
+  toMetrics(tableName, metrics = {}, groupBy) {
+    if (typeof metrics !== 'object' || Array.isArray(metrics)) {
+      throw new Error('metrics must be an object mapping aliases to { function: column }');
+    }
+
+    return Object.entries(metrics).map(([alias, spec]) => {
+      const functions = Object.keys(spec || {}).filter(key => key !== 'distinct');
+      if (functions.length !== 1 || !AGGREGATE_FUNCTIONS.includes(functions[0])) {
+        throw new Error(`Metric ${alias} must use exactly one of: ${AGGREGATE_FUNCTIONS.join(', ')}`);
+      }
+      if (groupBy.includes(alias)) {
+        throw new InvalidIdentifierError(`Metric alias ${alias} clashes with a groupBy column`, alias);
+      }
+
+      const fn = functions[0];
+      const column = spec[fn];
+      let argument;
+      if (fn === 'count' && (column === '*' || column === true)) {
+        argument = '*';
+      } else {
+        argument = this.quoteColumn(tableName, column);
+      }
+      if (spec.distinct) {
+        if (argument === '*') {
+          throw new Error(`Metric ${alias} cannot count distinct *`);
+        }
+        argument = `DISTINCT ${argument}`;
+      }
+
+      return { alias, fn, column: argument === '*' ? null : column, expression: `${fn.toUpperCase()}(${argument})` };
+    });
+  }
+
+  toAggregateOrderBy(tableName, orderBy, metrics, groupBy) {
+    const items = this.normalizeOrderBy(orderBy);
+
+    if (items.length === 0) {
+      return '';
+    }
+
+    const terms = items.map((item) => {
+      let term;
+      if (metrics.some(metric => metric.alias === item.column)) {
+        term = this.sqlUtility.quoteIdentifier(item.column);
+      } else if (groupBy.includes(item.column)) {
+        term = this.quoteColumn(tableName, item.column);
+      } else {
+        throw new InvalidIdentifierError(`orderBy ${item.column} must be a metric or groupBy column`, item.column);
+      }
+      return `${term} ${item.direction}${item.nulls ? ` NULLS ${item.nulls}` : ''}`;
+    });
+
+    return `
+            ORDER BY ${terms.join(', ')}`;
+  }
+
+  toNumericMetrics(result, metrics) {
+    const fields = result.fields || [];
+    const numericAliases = metrics
+      .filter((metric) => {
+        const field = fields.find(item => item.name === metric.alias);
+        // COUNT is always bigint, even when the driver reports no fields
+        return metric.fn === 'count' || (field && NUMERIC_STRING_TYPE_IDS.includes(field.dataTypeID));
+      })
+      .map(metric => metric.alias);
+
+    return result.rows.map((row) => {
+      for (const alias of numericAliases) {
+        if (row[alias] !== null && row[alias] !== undefined) {
+          row[alias] = Number(row[alias]);
+        }
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Read one page using keyset (cursor) pagination. Rows are sorted by orderBy
+   * followed by the primary key as a tiebreaker, and the returned cursors
+   * encode the sort values of the first and last row as PostgreSQL prints
+   * them, so timestamps keep their microseconds and time zone. Sort columns
+   * are expected to be NOT NULL.
+   * @param {string} tableName - Table to read from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { after, before, limit, orderBy, columns, include, mapResults, withDeleted, onlyDeleted }
+   * @returns {Promise<Object>} { rows, nextCursor, prevCursor }
+   */
+  async readPage(tableName, conditions = {}, options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const hookContext = await this.runBeforeRead(tableName, 'readPage', conditions, options);
+    const readOptions = hookContext.options;
+
+    if (readOptions.after && readOptions.before) {
+      throw new Error('readPage accepts either after or before, not both');
+    }
+
+    const limit = this.toNonNegativeInteger(readOptions.limit === undefined ? 20 : readOptions.limit, 'limit');
+    const sort = this.toKeysetSort(tableName, readOptions.orderBy);
+    const backward = Boolean(readOptions.before);
+    const cursor = readOptions.after || readOptions.before;
+
+    // Walking backwards is a forward walk over the reversed sort order
+    const querySort = backward
+      ? sort.map(item => ({ ...item, direction: item.direction === 'ASC' ? 'DESC' : 'ASC' }))
+      : sort;
+
+    const pageConditions = cursor
+      ? { $and: [hookContext.conditions || {}, this.toKeysetCondition(querySort, this.decodeCursor(cursor, sort.length))] }
+      : hookContext.conditions;
+
+    // Cursors come from the text copies of the sort columns, taken off before rows are mapped
+    const rows = await this.readRows(tableName, pageConditions, {
+      ...this.toDeletedOptions(readOptions),
+      columns: readOptions.columns,
+      orderBy: querySort,
+      limit: limit + 1,
+      include: readOptions.include,
+      mapResults: readOptions.mapResults,
+      cursorColumns: sort.map(item => item.column)
+    });
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const cursorValues = pageRows.map(row => this.takeCursorValues(row, sort.length));
+
+    if (backward) {
+      pageRows.reverse();
+      cursorValues.reverse();
+    }
+
+    const hasNext = backward ? true : hasMore;
+    const hasPrev = backward ? hasMore : Boolean(cursor);
+
+    hookContext.result = this.mapRows(tableName, pageRows, readOptions);
+    await this.runHooks('afterRead', hookContext);
+
+    return {
+      rows: hookContext.result,
+      nextCursor: hasNext && pageRows.length > 0 ? this.encodeCursor(cursorValues[cursorValues.length - 1]) : null,
+      prevCursor: hasPrev && pageRows.length > 0 ? this.encodeCursor(cursorValues[0]) : null
+    };
+  }
+
+  toKeysetSort(tableName, orderBy) {
+    const primaryKey = this.primaryKeyColumnsMap.get(this.qualifyTableName(tableName));
+
+    if (!primaryKey || primaryKey.length === 0) {
+      throw new Error(`No primary key found for table ${tableName}. Call addTable() first.`);
+    }
+
+    const sort = this.normalizeOrderBy(orderBy);
+    if (sort.some(item => item.nulls)) {
+      throw new Error('readPage does not support nulls ordering; sort columns must be NOT NULL');
+    }
+
+    for (const column of primaryKey) {
+      if (!sort.some(item => item.column === column)) {
+        sort.push({ column, direction: 'ASC' });
+      }
+    }
+    return sort;
+  }
+
+  // (a, b) after (x, y) expands to: a > x OR (a = x AND b > y), honouring each direction
+  toKeysetCondition(sort, values) {
+    return {
+      $or: sort.map((item, i) => {
+        const branch = {};
+        for (let j = 0; j < i; j++) {
+          branch[sort[j].column] = { $eq: values[j] };
+        }
+        branch[item.column] = item.direction === 'ASC' ? { $gt: values[i] } : { $lt: values[i] };
+        return branch;
+      })
+    };
+  }
+
+  // Dates would lose microseconds and shift timestamp columns by the local offset, so sort values are read as text
+  toCursorColumnList(tableName, cursorColumns) {
+    if (!cursorColumns) {
+      return '';
+    }
+
+    return cursorColumns
+      .map((column, i) => `, ${this.quoteColumn(tableName, column)}::text AS "${CURSOR_COLUMN_PREFIX}${i}"`)
+      .join('');
+  }
+
+  takeCursorValues(row, length) {
+    const values = [];
+    for (let i = 0; i < length; i++) {
+      values.push(row[`${CURSOR_COLUMN_PREFIX}${i}`]);
+      delete row[`${CURSOR_COLUMN_PREFIX}${i}`];
+    }
+    return values;
+  }
+
+  encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+  }
+
+  decodeCursor(cursor, length) {
+    let values;
+    try {
+      values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      throw new Error('Invalid cursor');
+    }
+
+    if (!Array.isArray(values) || values.length !== length) {
+      throw new Error('Invalid cursor');
+    }
+    return values;
+  }
+
+  /**
+   * Iterate over matching rows through a server-side cursor, fetching
+   * batchSize rows per round trip. Yields single rows, or arrays of rows when
+   * options.batch is set. Stopping early closes the cursor and releases the
+   * connection. Inside a transaction the transaction's connection is used.
+   * @param {string} tableName - Table to read from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - read() options plus { batchSize, batch }
+   * @returns {AsyncGenerator<Object|Array>} Rows or batches of rows
+   */
+  async *iterate(tableName, conditions = {}, options = {}) {
+    const hookContext = await this.runBeforeRead(tableName, 'iterate', conditions, options);
+    const readOptions = hookContext.options;
+
+    const batchSize = readOptions.batchSize === undefined ? 1000 : readOptions.batchSize;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error('batchSize must be a positive integer');
+    }
+
+    const { query, params, paramColumns } = this.buildSelectQuery(tableName, hookContext.conditions, readOptions);
+
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    // Cursors only live inside a transaction, so outside one we open our own
+    const ownsConnection = this.transactionDepth === 0;
+    const client = ownsConnection ? await PGClientFactory.getPGClient() : this.client;
+    const accessor = ownsConnection ? this.bindToClient(client, 1) : this;
+    const cursorName = `accessor_cursor_${++cursorSequence}`;
+    let completed = false;
+    let releaseError;
+
+    try {
+      if (ownsConnection) {
+        await accessor.executeQuery('BEGIN READ ONLY');
+      }
+      await accessor.executeQuery(`DECLARE ${cursorName} NO SCROLL CURSOR FOR ${query}`, params, paramColumns);
+
+      let rows;
+      do {
+        ({ rows } = await accessor.executeQuery(`FETCH ${batchSize} FROM ${cursorName}`));
+
+        if (rows.length > 0) {
+          hookContext.result = this.mapRows(tableName, rows, readOptions);
+          await this.runHooks('afterRead', hookContext);
+          const mappedRows = hookContext.result;
+          if (readOptions.batch) {
+            yield mappedRows;
+          } else {
+            yield* mappedRows;
+          }
+        }
+      } while (rows.length === batchSize);
+
+      await accessor.executeQuery(`CLOSE ${cursorName}`);
+      if (ownsConnection) {
+        await accessor.executeQuery('COMMIT');
+      }
+      completed = true;
+    } finally {
+      if (!completed) {
+        try {
+          await accessor.executeQuery(ownsConnection ? 'ROLLBACK' : `CLOSE ${cursorName}`);
+        } catch (cleanupError) {
+          // An aborted outer transaction is rolled back by its owner
+          releaseError = cleanupError;
+        }
+      }
+      if (ownsConnection) {
+        client.release(releaseError);
+      }
+    }
+  }
+
+  /**
+   * Object-mode Readable over iterate(), for piping rows into other streams.
+   * @param {string} tableName - Table to read from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - Same options as iterate()
+   * @returns {Readable} Stream of rows
+   */
+  readStream(tableName, conditions = {}, options = {}) {
+    return Readable.from(this.iterate(tableName, conditions, options), { objectMode: true });
+  }
+
+  buildSelectQuery(tableName, conditions, options = {}) {
+    const { whereClause, params, paramColumns } = this.toConditionClause(conditions, tableName, 1, undefined, options.inlineValues);
+
+    let query = `
+            SELECT ${this.toColumnList(tableName, options.columns)}${this.toCursorColumnList(tableName, options.cursorColumns)}
+            FROM ${this.quoteTable(tableName)}
+            WHERE 1 = 1 ${whereClause}${this.toSoftDeleteClause(tableName, options)}${this.toOrderByClause(tableName, options.orderBy)}`;
+
+    if (options.limit !== undefined && options.limit !== null) {
+      params.push(this.toNonNegativeInteger(options.limit, 'limit'));
+      paramColumns.push(null);
+      query += `
+            LIMIT $${params.length}`;
+    }
+
+    if (options.offset !== undefined && options.offset !== null) {
+      params.push(this.toNonNegativeInteger(options.offset, 'offset'));
+      paramColumns.push(null);
+      query += `
+            OFFSET $${params.length}`;
+    }
+
+    return { query, params, paramColumns };
+  }
+
+  toColumnList(tableName, columns) {
+    if (!columns || columns.length === 0) {
+      return '*';
+    }
+
+    if (!Array.isArray(columns)) {
+      throw new Error('columns must be an array of column names');
+    }
+    return columns.map(column => this.quoteColumn(tableName, column)).join(', ');
+  }
+
+  /**
+   * Compile an orderBy option into an ORDER BY clause.
+   * Accepts a column name, { column, direction, nulls } or an array of either.
+   * @param {string} tableName - Table whose columns are referenced
+   * @param {string|Object|Array} orderBy - Sort specification
+   * @returns {string} ORDER BY clause, or an empty string
+   */
+  toOrderByClause(tableName, orderBy) {
+    const items = this.normalizeOrderBy(orderBy);
+
+    if (items.length === 0) {
+      return '';
+    }
+
+    const terms = items.map((item) => {
+      let term = `${this.quoteColumn(tableName, item.column)} ${item.direction}`;
+      if (item.nulls) {
+        term += ` NULLS ${item.nulls}`;
+      }
+      return term;
+    });
+
+    return `
+            ORDER BY ${terms.join(', ')}`;
+  }
+
+  normalizeOrderBy(orderBy) {
+    if (!orderBy) {
+      return [];
+    }
+
+    const items = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+    return items.map((item) => {
+      const spec = typeof item === 'string' ? { column: item } : item;
+
+      if (!spec || typeof spec.column !== 'string') {
+        throw new Error('orderBy entries must be a column name or { column, direction, nulls }');
+      }
+
+      const direction = String(spec.direction || 'ASC').toUpperCase();
+      if (direction !== 'ASC' && direction !== 'DESC') {
+        throw new Error(`Invalid sort direction: ${spec.direction}`);
+      }
+
+      let nulls;
+      if (spec.nulls) {
+        nulls = String(spec.nulls).toUpperCase();
+        if (nulls !== 'FIRST' && nulls !== 'LAST') {
+          throw new Error(`Invalid nulls ordering: ${spec.nulls}`);
+        }
+      }
+
+      return { column: spec.column, direction, nulls };
+    });
+  }
+
+  toNonNegativeInteger(value, name) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative integer`);
+    }
+    return value;
+  }
+
+  /**
+   * Delete rows matching conditions. On a soft delete table this stamps the
+   * soft delete column of the matching live rows instead; see hardDelete().
+   * @param {string} tableName - Table to delete from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { mapResults, allowAll, maxAffectedRows }
+   * @returns {Promise<Array>} Deleted rows
+   */
+  async delete(tableName, conditions, options = {}) {
+    return this.withHooks('Delete', { tableName, method: 'delete', conditions, options }, (ctx) => {
+      if (this.getSoftDeleteColumn(tableName)) {
+        return this.setSoftDeleteColumn('delete', tableName, ctx.conditions, ctx.options);
+      }
+      return this.removeRows(tableName, ctx.conditions, ctx.options);
+    });
+  }
+
+  /**
+   * Remove rows matching conditions, soft-deleted or not, even from a soft
+   * delete table. Pass onlyDeleted to purge soft-deleted rows only.
+   * @param {string} tableName - Table to delete from
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { mapResults, allowAll, maxAffectedRows, onlyDeleted }
+   * @returns {Promise<Array>} Deleted rows
+   */
+  async hardDelete(tableName, conditions, options = {}) {
+    return this.withHooks('Delete', { tableName, method: 'hardDelete', conditions, options }, ctx => (
+      this.removeRows(tableName, ctx.conditions, ctx.options)
+    ));
+  }
+
+  async removeRows(tableName, conditions, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const { whereClause, params, paramColumns, hasPredicates } = this.toConditionClause(conditions, tableName);
+    this.assertConditioned('delete', tableName, hasPredicates, options);
+
+    const query = `
+            DELETE
+            FROM ${this.quoteTable(tableName)}
+            WHERE 1 = 1 ${whereClause}${this.toSoftDeleteClause(tableName, { withDeleted: true, onlyDeleted: options.onlyDeleted })}
+            RETURNING *`;
+            
+    const result = await this.executeLimitedWrite(tableName, query, params, paramColumns, options);
+    return this.mapRows(tableName, result.rows, options);
+  }
+
+  /**
+   * Undo soft deletes: clear the soft delete column of matching deleted rows.
+   * @param {string} tableName - Soft delete table
+   * @param {Object} conditions - Condition object
+   * @param {Object} options - { mapResults, allowAll, maxAffectedRows }
+   * @returns {Promise<Array>} Restored rows
+   */
+  async restore(tableName, conditions, options = {}) {
+    if (!this.getSoftDeleteColumn(tableName)) {
+      throw new Error(`Table ${tableName} has no soft delete column. Call addTable() with { softDelete } first.`);
+    }
+    return this.setSoftDeleteColumn('restore', tableName, conditions, options);
+  }
+
+  async setSoftDeleteColumn(operation, tableName, conditions, options) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const { whereClause, params, paramColumns, hasPredicates } = this.toConditionClause(conditions, tableName);
+    this.assertConditioned(operation, tableName, hasPredicates, options);
+
+    const restoring = operation === 'restore';
+    const query = `
+            UPDATE ${this.quoteTable(tableName)}
+            SET ${this.sqlUtility.quoteIdentifier(this.getSoftDeleteColumn(tableName))} = ${restoring ? 'NULL' : 'CURRENT_TIMESTAMP'}
+            WHERE 1 = 1 ${whereClause}${this.toSoftDeleteClause(tableName, { onlyDeleted: restoring })}
+            RETURNING *`;
+
+    const result = await this.executeLimitedWrite(tableName, query, params, paramColumns, options);
+    return this.mapRows(tableName, result.rows, options);
+  }
+
+  /**
+   * Load CSV data into a table with COPY FROM STDIN.
+   * @param {string} tableName - Table to load into
+   * @param {Readable} readableStream - CSV input
+   * @param {Object} options - { columns, header, delimiter, null, quote, escape }
+   * @returns {Promise<Object>} { rowCount }
+   */
+  async importCsv(tableName, readableStream, options = {}) {
+    const columnList = this.toCopyColumnList(tableName, options.columns);
+    const query = `COPY ${this.quoteTable(tableName)}${columnList} FROM STDIN WITH (${this.toCopyOptions(options)})`;
+
+    return this.runCopy(async (client) => {
+      const copyStream = client.query(copyFrom(query));
+      await pipelineAsync(readableStream, copyStream);
+      return { rowCount: copyStream.rowCount };
+    });
+  }
+
+  /**
+   * Write matching rows as CSV with COPY TO STDOUT.
+   * COPY takes no bind parameters, so condition values are inlined as quoted literals.
+   * @param {string} tableName - Table to export from
+   * @param {Object} conditions - Condition object
+   * @param {Writable} writableStream - CSV output
+   * @param {Object} options - { columns, orderBy, withDeleted, onlyDeleted, header, delimiter, null, quote, escape }
+   * @returns {Promise<Object>} { rowCount }
+   */
+  async exportCsv(tableName, conditions, writableStream, options = {}) {
+    // Exports also require a discovered table so the columns are validated
+    this.toCopyColumnList(tableName, options.columns);
+
+    const { query: selectQuery } = this.buildSelectQuery(tableName, conditions, {
+      ...this.toDeletedOptions(options),
+      columns: options.columns,
+      orderBy: options.orderBy,
+      inlineValues: true
+    });
+    const query = `COPY (${selectQuery}) TO STDOUT WITH (${this.toCopyOptions(options)})`;
+
+    return this.runCopy(async (client) => {
+      const copyStream = client.query(copyTo(query));
+      await pipelineAsync(copyStream, writableStream);
+      return { rowCount: copyStream.rowCount };
+    });
+  }
+
+  // COPY streams need a dedicated connection: the transaction's, or one checked out for the copy
+  async runCopy(copy) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    if (this.transactionDepth > 0) {
+      return copy(this.client);
+    }
+
+    const client = await PGClientFactory.getPGClient();
+    let releaseError;
+
+    try {
+      return await copy(client);
+    } catch (e) {
+      releaseError = e;
+      throw e;
+    } finally {
+      client.release(releaseError);
+    }
+  }
+
+  toCopyColumnList(tableName, columns) {
+    if (!this.columnsMap.get(this.qualifyTableName(tableName))) {
+      throw new Error(`Table ${tableName} columns not found. Call addTable() first.`);
+    }
+
+    if (!columns) {
+      return '';
+    }
+
+    if (!Array.isArray(columns) || columns.length === 0) {
+      throw new Error('columns must be a non-empty array of column names');
+    }
+    return ` (${columns.map(column => this.quoteColumn(tableName, column)).join(', ')})`;
+  }
+
+  toCopyOptions(options) {
+    const copyOptions = ['FORMAT csv', `HEADER ${options.header === false ? 'false' : 'true'}`];
+
+    for (const [option, keyword] of [['delimiter', 'DELIMITER'], ['quote', 'QUOTE'], ['escape', 'ESCAPE']]) {
+      if (options[option] !== undefined) {
+        if (typeof options[option] !== 'string' || options[option].length !== 1) {
+          throw new Error(`${option} must be a single character`);
+        }
+        copyOptions.push(`${keyword} ${this.sqlUtility.quoteLiteral(options[option])}`);
+      }
+    }
+
+    if (options.null !== undefined) {
+      copyOptions.push(`NULL ${this.sqlUtility.quoteLiteral(options.null)}`);
+    }
+
+    return copyOptions.join(', ');
+  }
+
+  /**
+   * Run a raw SQL statement.
+   * @param {string} query - SQL statement
+   * @param {Array} params - Bind parameters
+   * @param {Object} options - { paramColumns }; the column each parameter is bound to, null for none,
+   *   so logging can redact by column. Without it every logged parameter is redacted
+   * @returns {Promise<Array>} Result rows
+   */
+  async query(query, params = [], options = {}) {
+    if (!this.client) {
+      await this.initialize();
+    }
+
+    const result = await this.executeQuery(query, params, options.paramColumns);
     return result.rows;
   }
 
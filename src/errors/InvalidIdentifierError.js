@@ -0,0 +1,15 @@
+/**
+ * Thrown when a table name, column name or operator cannot be safely
+ * placed into generated SQL.
+ */
+class InvalidIdentifierError extends Error {
+
+  constructor(message, identifier) {
+    super(message);
+    this.name = 'InvalidIdentifierError';
+    this.identifier = identifier;
+  }
+
+}
+
+module.exports = InvalidIdentifierError;
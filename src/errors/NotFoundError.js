@@ -0,0 +1,19 @@
+// JSON has no bigint, which int8 keys may be given as
+const toText = conditions => JSON.stringify(conditions, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+
+/**
+ * Thrown by the single-row helpers (findByPk, findOne, updateByPk,
+ * deleteByPk) when no row matches and rejectOnNotFound is set.
+ */
+class NotFoundError extends Error {
+
+  constructor(tableName, conditions) {
+    super(`No row found in table ${tableName} for ${toText(conditions)}`);
+    this.name = 'NotFoundError';
+    this.tableName = tableName;
+    this.conditions = conditions;
+  }
+
+}
+
+module.exports = NotFoundError;
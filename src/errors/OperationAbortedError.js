@@ -0,0 +1,14 @@
+/**
+ * Thrown by a hook or middleware to stop an operation before (or after) it
+ * runs, usually through context.abort(message).
+ */
+class OperationAbortedError extends Error {
+
+  constructor(message = 'Operation aborted') {
+    super(message);
+    this.name = 'OperationAbortedError';
+  }
+
+}
+
+module.exports = OperationAbortedError;
@@ -0,0 +1,21 @@
+// Keys of int8 columns may be bigints, which JSON.stringify rejects
+const toText = conditions => JSON.stringify(conditions, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+
+/**
+ * Thrown when a versioned write finds no row at the expected version: the
+ * row was changed (or removed) since it was read. Callers can re-read and
+ * retry, or report the conflict.
+ */
+class StaleRecordError extends Error {
+
+  constructor(tableName, conditions, expectedVersion) {
+    super(`Row of table ${tableName} matching ${toText(conditions)} is no longer at version ${expectedVersion}`);
+    this.name = 'StaleRecordError';
+    this.tableName = tableName;
+    this.conditions = conditions;
+    this.expectedVersion = expectedVersion;
+  }
+
+}
+
+module.exports = StaleRecordError;
@@ -0,0 +1,18 @@
+/**
+ * Thrown when update() or delete() would touch every row of a table without
+ * allowAll, or more rows than maxAffectedRows. In the latter case the
+ * statement has already been rolled back and rowCount holds how many rows it
+ * matched.
+ */
+class UnsafeOperationError extends Error {
+
+  constructor(message, tableName, rowCount) {
+    super(message);
+    this.name = 'UnsafeOperationError';
+    this.tableName = tableName;
+    this.rowCount = rowCount;
+  }
+
+}
+
+module.exports = UnsafeOperationError;
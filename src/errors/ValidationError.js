@@ -0,0 +1,19 @@
+/**
+ * Thrown before a write when one or more values do not fit their columns.
+ * errors lists every problem as { column, message, value } (plus row for
+ * bulk writes).
+ */
+class ValidationError extends Error {
+
+  constructor(tableName, errors) {
+    super(`Validation failed for table ${tableName}: ${errors.map(error => (
+      `${error.row === undefined ? '' : `row ${error.row} `}${error.column} ${error.message}`
+    )).join('; ')}`);
+    this.name = 'ValidationError';
+    this.tableName = tableName;
+    this.errors = errors;
+  }
+
+}
+
+module.exports = ValidationError;
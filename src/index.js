@@ -1,9 +1,27 @@
 const PostgreSQLAccessor = require('./data/PostgreSQLAccessor');
 const PGClientFactory = require('./utils/PGClientFactory');
 const ObjectUtility = require('./utils/ObjectUtility');
+const SQLUtility = require('./utils/SQLUtility');
+const TypeUtility = require('./utils/TypeUtility');
+const LogUtility = require('./utils/LogUtility');
+const InvalidIdentifierError = require('./errors/InvalidIdentifierError');
+const ValidationError = require('./errors/ValidationError');
+const NotFoundError = require('./errors/NotFoundError');
+const UnsafeOperationError = require('./errors/UnsafeOperationError');
+const StaleRecordError = require('./errors/StaleRecordError');
+const OperationAbortedError = require('./errors/OperationAbortedError');
 
 module.exports = {
     PostgreSQLAccessor,
     PGClientFactory,
-    ObjectUtility
-};
+    ObjectUtility,
+    SQLUtility,
+    TypeUtility,
+    LogUtility,
+    InvalidIdentifierError,
+    ValidationError,
+    NotFoundError,
+    UnsafeOperationError,
+    StaleRecordError,
+    OperationAbortedError
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Routes the library's log output to an injected logger, off by default.
+ *
+ * The logger is an object with debug, info, warn and error methods called as
+ * logger[level](message, details) (console, winston), or a function called as
+ * logger(level, message, details) to adapt other signatures such as pino's.
+ * Statement parameters bound to redacted columns are replaced before logging;
+ * so is every parameter whose column is not known.
+ */
+class LogUtility {
+
+  /**
+   * @param {Object} options
+   * @param {Object|Function} options.logger - Logger to write to; nothing is logged without one
+   * @param {string} options.logLevel - Lowest level passed on: debug (default), info, warn, error or silent
+   * @param {Array<string|RegExp>} options.redact - Column names (case-insensitive) or patterns whose parameter values are hidden
+   */
+  constructor(options = {}) {
+    const level = options.logLevel || 'debug';
+
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Invalid log level: ${level}. Expected one of: ${LEVELS.join(', ')}`);
+    }
+    if (options.logger && typeof options.logger !== 'function' && typeof options.logger !== 'object') {
+      throw new Error('logger must be an object with level methods or a function');
+    }
+
+    this.logger = options.logger || null;
+    this.level = level;
+    this.redact = [].concat(options.redact || []);
+  }
+
+  isEnabled(level) {
+    return Boolean(this.logger) && LEVELS.indexOf(level) >= LEVELS.indexOf(this.level);
+  }
+
+  log(level, message, details = {}) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+
+    if (typeof this.logger === 'function') {
+      this.logger(level, message, details);
+    } else if (typeof this.logger[level] === 'function') {
+      this.logger[level](message, details);
+    }
+  }
+
+  /**
+   * Log an executed (or failed) statement at debug level. Result rows are
+   * never logged, only their count.
+   * @param {string} query - SQL statement
+   * @param {Array} params - Bind parameters, redacted before logging
+   * @param {Object} outcome - { durationMs, rowCount } or { durationMs, error }
+   * @param {Array<string|null>} paramColumns - Column each parameter is bound to (see redactParams)
+   */
+  logQuery(query, params, outcome, paramColumns) {
+    if (!this.isEnabled('debug')) {
+      return;
+    }
+
+    const details = { query, params: this.redactParams(params, paramColumns), durationMs: outcome.durationMs };
+    if (outcome.error) {
+      this.log('debug', 'Query failed', { ...details, error: outcome.error.message });
+    } else {
+      this.log('debug', 'Query executed', { ...details, rowCount: outcome.rowCount });
+    }
+  }
+
+  /**
+   * Replace the values of parameters bound to redacted columns. The columns
+   * are recorded while the statement is built, never guessed from its SQL;
+   * without one for every parameter (raw SQL, params rewritten by middleware)
+   * all values are replaced.
+   * @param {Array} params - Bind parameters
+   * @param {Array<string|null>} paramColumns - Column (or column->json->>path) per
+   *   parameter, null for values bound to no column such as LIMIT
+   * @returns {Array} Parameters safe to log
+   */
+  redactParams(params = [], paramColumns) {
+    if (this.redact.length === 0 || params.length === 0) {
+      return params;
+    }
+
+    const known = Array.isArray(paramColumns) && paramColumns.length === params.length;
+    return params.map((value, i) => (!known || this.isRedacted(paramColumns[i]) ? REDACTED : value));
+  }
+
+  isRedacted(column) {
+    if (column === null) {
+      return false;
+    }
+    if (typeof column !== 'string') {
+      return true;
+    }
+
+    // A JSON path such as data->>password is redacted by its column or any key along it
+    return column.split(/->>?/).some(name => this.redact.some(rule => (rule instanceof RegExp
+      ? rule.test(name)
+      : String(rule).toLowerCase() === name.toLowerCase())));
+  }
+
+}
+
+module.exports = LogUtility;
@@ -7,7 +7,23 @@ class ObjectUtility {
     return str.replace(/([a-z0-9]|(?=[A-Z]))([A-Z])/g, '$1_$2').toLowerCase();
   }
 
-  convertObjectToFlat(obj, parentKey = '') {
+  snakeToCamelCase(str) {
+    if (typeof str !== 'string') {
+      throw new Error('Input must be a string');
+    }
+    return str.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+  }
+
+  /**
+   * Flatten a nested object into snake_case keys joined by underscores.
+   * Arrays, Dates, Buffers and objects whose flattened key satisfies
+   * keepIntact (e.g. json columns) are stored as values instead.
+   * @param {Object} obj - Object to flatten
+   * @param {string} parentKey - Prefix for every key
+   * @param {Function} keepIntact - Called with a flattened key; true keeps its object value whole
+   * @returns {Object} The flat object
+   */
+  convertObjectToFlat(obj, parentKey = '', keepIntact = () => false) {
     if (obj === null || obj === undefined) {
       return {};
     }
@@ -22,8 +38,8 @@ class ObjectUtility {
       if (Object.prototype.hasOwnProperty.call(obj, key)) {
         const newKey = this.camelToSnakeCase(parentKey ? `${parentKey}_${key}` : key);
                 
-        if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
-          const childObject = this.convertObjectToFlat(obj[key], newKey);
+        if (this.isNestedObject(obj[key]) && !keepIntact(newKey)) {
+          const childObject = this.convertObjectToFlat(obj[key], newKey, keepIntact);
           flatObject = {...flatObject, ...childObject};
         } else {
           flatObject[newKey] = obj[key];
@@ -34,6 +50,66 @@ class ObjectUtility {
     return flatObject;
   }
 
+  isNestedObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value)
+      && !(value instanceof Date) && !Buffer.isBuffer(value);
+  }
+
+  /**
+   * Reverse of convertObjectToFlat: camelCase the keys of a flat row and
+   * nest the prefixes named in shape. shape mirrors the input object, e.g.
+   * { user: { profile: true } } turns user_profile_first_name back into
+   * user.profile.firstName and user_email into user.email.
+   * @param {Object} flat - Flat snake_case object such as a result row
+   * @param {Object} shape - Tree of camelCase prefixes to nest, true for a leaf
+   * @returns {Object} The nested camelCase object
+   */
+  convertFlatToObject(flat, shape = {}) {
+    if (flat === null || flat === undefined) {
+      return {};
+    }
+
+    if (typeof flat !== 'object') {
+      throw new Error('Input must be an object');
+    }
+
+    const nestedObject = {};
+
+    for (const key in flat) {
+      if (Object.prototype.hasOwnProperty.call(flat, key)) {
+        const path = this.toNestedPath(key, shape);
+        let target = nestedObject;
+
+        for (const segment of path.slice(0, -1)) {
+          if (target[segment] === undefined) {
+            target[segment] = {};
+          } else if (typeof target[segment] !== 'object' || target[segment] === null) {
+            throw new Error(`Cannot nest ${key} under ${segment}, which already holds a value`);
+          }
+          target = target[segment];
+        }
+        target[path[path.length - 1]] = flat[key];
+      }
+    }
+
+    return nestedObject;
+  }
+
+  toNestedPath(key, shape) {
+    // Longer prefixes win, so { user: true, userProfile: true } nests user_profile_* under userProfile
+    const prefixes = Object.keys(shape || {})
+      .map(name => ({ name, prefix: `${this.camelToSnakeCase(name)}_` }))
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+
+    for (const { name, prefix } of prefixes) {
+      if (key.startsWith(prefix) && key.length > prefix.length) {
+        const child = shape[name] === true ? {} : shape[name];
+        return [name, ...this.toNestedPath(key.slice(prefix.length), child)];
+      }
+    }
+    return [this.snakeToCamelCase(key)];
+  }
+
 }
 
 module.exports = ObjectUtility;
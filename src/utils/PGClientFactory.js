@@ -1,61 +1,143 @@
 // Load environment variables from .env file
 try {
   require('dotenv').config();
-  console.log('Environment variables loaded from .env file');
 } catch (error) {
   console.warn('Warning: dotenv not available, environment variables may not be loaded:', error.message);
 }
 
-const {Client} = require('pg');
+const {Pool} = require('pg');
+const LogUtility = require('./LogUtility.js');
 
 class PGClientFactory {
 
-  static get client() {
-    if (!this._client) {
-      this._client = null;
+  /**
+   * Logger for pool errors, in the form LogUtility accepts. Unset by default,
+   * which keeps the factory silent.
+   */
+  static get logger() {
+    return this._logger || null;
+  }
+
+  static set logger(value) {
+    this._logger = value;
+  }
+
+  static log(level, message, details) {
+    new LogUtility({ logger: PGClientFactory.logger }).log(level, message, details);
+  }
+
+  static get pool() {
+    if (!this._pool) {
+      this._pool = null;
     }
-    return this._client;
+    return this._pool;
   }
 
-  static set client(value) {
-    this._client = value;
+  static set pool(value) {
+    this._pool = value;
   }
 
-  static async getPGClient() {
+  /**
+   * Build the pg Pool configuration from environment variables.
+   * Pool settings are only passed through when set, so pg defaults apply otherwise.
+   * @returns {Object} Pool configuration
+   */
+  static getPoolConfig() {
+    const config = {
+      user: process.env.DB_USER,
+      database: process.env.DB_NAME,
+      password: process.env.DB_PASSWORD,
+      host: process.env.DB_HOST,
+      port: process.env.DB_PORT,
+    };
+
+    const poolSettings = {
+      max: 'DB_MAX_CONNECTIONS',
+      idleTimeoutMillis: 'DB_IDLE_TIMEOUT',
+      connectionTimeoutMillis: 'DB_CONNECTION_TIMEOUT'
+    };
+
+    for (const [option, varName] of Object.entries(poolSettings)) {
+      if (process.env[varName]) {
+        const value = parseInt(process.env[varName], 10);
+        if (Number.isNaN(value) || value < 0) {
+          throw new Error(`Invalid value for ${varName}: ${process.env[varName]}`);
+        }
+        config[option] = value;
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the shared connection pool, creating it on first use.
+   * Every client handed out by the pool has its search_path set to DB_SCHEMA.
+   * @returns {Promise<Pool>} The shared pg Pool
+   */
+  static async getPool() {
     // Validate required environment variables
     const requiredEnvVars = ['DB_USER', 'DB_NAME', 'DB_PASSWORD', 'DB_HOST', 'DB_PORT', 'DB_SCHEMA'];
     const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-    
+
     if (missingVars.length > 0) {
       throw new Error(`Missing required environment variables: ${missingVars.join(', ')}. Please check your .env file.`);
     }
 
-    if (!PGClientFactory.client) {
-      PGClientFactory.client = new Client({
-        user: process.env.DB_USER,
-        database: process.env.DB_NAME,
-        password: process.env.DB_PASSWORD,
-        host: process.env.DB_HOST,
-        port: process.env.DB_PORT,
+    if (!PGClientFactory.pool) {
+      const pool = new Pool(PGClientFactory.getPoolConfig());
+
+      pool.on('connect', (client) => {
+        client.query(`SET search_path TO ${process.env.DB_SCHEMA}`).catch((error) => {
+          PGClientFactory.log('error', 'Failed to set search_path', { error });
+        });
       });
-            
-      try {
-        if (!PGClientFactory.client._connected) {
-          await PGClientFactory.client.connect();
-          await PGClientFactory.client.query(`SET search_path TO ${process.env.DB_SCHEMA}`);
-        }
-      } catch (error) {
-        console.error('Failed to connect to database:', error);
-        throw error;
-      }
+
+      // An idle client losing its connection must not crash the process
+      pool.on('error', (error) => {
+        PGClientFactory.log('error', 'Unexpected error on idle database client', { error });
+      });
+
+      PGClientFactory.pool = pool;
+    }
+    return PGClientFactory.pool;
+  }
+
+  /**
+   * Check out a dedicated client from the pool.
+   * The caller owns the client and must call client.release() when done.
+   * @returns {Promise<Object>} A pooled pg client
+   */
+  static async getPGClient() {
+    const pool = await PGClientFactory.getPool();
+
+    try {
+      return await pool.connect();
+    } catch (error) {
+      PGClientFactory.log('error', 'Failed to connect to database', { error });
+      throw error;
     }
-    return PGClientFactory.client;
+  }
+
+  /**
+   * Current pool statistics, useful for sizing DB_MAX_CONNECTIONS.
+   * @returns {Object} Object with total, idle and waiting client counts
+   */
+  static getPoolStats() {
+    const pool = PGClientFactory.pool;
+
+    return {
+      total: pool ? pool.totalCount : 0,
+      idle: pool ? pool.idleCount : 0,
+      waiting: pool ? pool.waitingCount : 0
+    };
   }
 
   static async closeConnection() {
-    if (PGClientFactory.client && PGClientFactory.client._connected) {
-      await PGClientFactory.client.end();
-      PGClientFactory.client = null;
+    if (PGClientFactory.pool) {
+      const pool = PGClientFactory.pool;
+      PGClientFactory.pool = null;
+      await pool.end();
     }
   }
 
@@ -67,7 +149,7 @@ class PGClientFactory {
     const requiredEnvVars = ['DB_USER', 'DB_NAME', 'DB_PASSWORD', 'DB_HOST', 'DB_PORT', 'DB_SCHEMA'];
     const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
     const presentVars = requiredEnvVars.filter(varName => process.env[varName]);
-    
+
     return {
       isValid: missingVars.length === 0,
       missing: missingVars,
@@ -0,0 +1,80 @@
+const InvalidIdentifierError = require('../errors/InvalidIdentifierError.js');
+
+const ALLOWED_OPERATORS = [
+  '=', '<>', '!=', '<', '<=', '>', '>=',
+  'LIKE', 'NOT LIKE', 'ILIKE', 'NOT ILIKE',
+  'IS DISTINCT FROM', 'IS NOT DISTINCT FROM'
+];
+
+class SQLUtility {
+
+  /**
+   * Quote a single identifier, doubling any embedded double quotes.
+   * @param {string} identifier - Column, table or schema name
+   * @returns {string} Quoted identifier
+   */
+  quoteIdentifier(identifier) {
+    if (typeof identifier !== 'string' || identifier.length === 0) {
+      throw new InvalidIdentifierError(`Invalid identifier: ${identifier}`, identifier);
+    }
+    if (identifier.includes('\0')) {
+      throw new InvalidIdentifierError('Identifier must not contain null characters', identifier);
+    }
+    return `"${identifier.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Quote a table name, accepting an optional "schema.table" prefix.
+   * @param {string} tableName - Table name
+   * @returns {string} Quoted, possibly schema-qualified, table name
+   */
+  quoteTableName(tableName) {
+    if (typeof tableName !== 'string') {
+      throw new InvalidIdentifierError(`Invalid table name: ${tableName}`, tableName);
+    }
+
+    const parts = tableName.split('.');
+    if (parts.length > 2) {
+      throw new InvalidIdentifierError(`Invalid table name: ${tableName}`, tableName);
+    }
+    return parts.map(part => this.quoteIdentifier(part)).join('.');
+  }
+
+  /**
+   * Quote a value as a string literal, for statements such as COPY that
+   * cannot take bind parameters.
+   * @param {*} value - Value to quote; null and undefined become NULL
+   * @returns {string} SQL literal
+   */
+  quoteLiteral(value) {
+    if (value === null || value === undefined) {
+      return 'NULL';
+    }
+
+    const text = String(value);
+    if (text.includes('\0')) {
+      throw new InvalidIdentifierError('Literal must not contain null characters', value);
+    }
+
+    const escaped = `'${text.replace(/'/g, '\'\'')}'`;
+    // With backslashes present use an E'' string so they survive any standard_conforming_strings setting
+    return text.includes('\\') ? `E${escaped.replace(/\\/g, '\\\\')}` : escaped;
+  }
+
+  /**
+   * Normalize a comparison operator and check it against the allowlist.
+   * @param {string} operator - Operator such as '>=' or 'ilike'
+   * @returns {string} Upper-cased operator
+   */
+  normalizeOperator(operator) {
+    const normalized = typeof operator === 'string' ? operator.trim().replace(/\s+/g, ' ').toUpperCase() : operator;
+
+    if (!ALLOWED_OPERATORS.includes(normalized)) {
+      throw new InvalidIdentifierError(`Invalid operator: ${operator}. Expected one of: ${ALLOWED_OPERATORS.join(', ')}`, operator);
+    }
+    return normalized;
+  }
+
+}
+
+module.exports = SQLUtility;
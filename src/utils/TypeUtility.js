@@ -0,0 +1,245 @@
+const INTEGER_RANGES = {
+  int2: [-32768, 32767],
+  int4: [-2147483648, 2147483647],
+  int8: [-(2n ** 63n), 2n ** 63n - 1n]
+};
+
+const BOOLEAN_STRINGS = {
+  true: true, t: true, yes: true, y: true, on: true, 1: true,
+  false: false, f: false, no: false, n: false, off: false, 0: false
+};
+
+const TEXT_TYPES = ['text', 'varchar', 'bpchar', 'char', 'name', 'citext'];
+const TIMESTAMP_TYPES = ['date', 'timestamp', 'timestamptz'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NUMERIC_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+
+class TypeUtility {
+
+  /**
+   * Coerce a value to what a column accepts, using discovered column metadata.
+   * Types the utility does not know are passed through untouched.
+   * @param {*} value - Value supplied by the caller (never null or undefined)
+   * @param {Object} column - Column metadata from getTableInfo()
+   * @returns {*} The coerced value
+   * @throws {Error} With a message describing why the value does not fit
+   */
+  coerce(value, column) {
+    if (column.isArray) {
+      return this.toArray(value, { ...column, isArray: false, udtName: column.udtName.replace(/^_/, '') });
+    }
+    if (column.enumValues) {
+      return this.toEnum(value, column.enumValues);
+    }
+
+    const type = column.udtName;
+
+    if (INTEGER_RANGES[type]) {
+      return this.toInteger(value, type);
+    }
+    if (type === 'numeric') {
+      return this.toNumeric(value, column.numericPrecision, column.numericScale);
+    }
+    if (type === 'float4' || type === 'float8') {
+      return this.toFloat(value);
+    }
+    if (type === 'bool') {
+      return this.toBoolean(value);
+    }
+    if (TIMESTAMP_TYPES.includes(type)) {
+      return this.toTimestamp(value);
+    }
+    if (type === 'uuid') {
+      return this.toUuid(value);
+    }
+    if (type === 'json' || type === 'jsonb') {
+      return this.toJson(value);
+    }
+    if (TEXT_TYPES.includes(type)) {
+      return this.toText(value, column.maxLength);
+    }
+    return value;
+  }
+
+  /**
+   * Coerce the operands of an array update such as { $append: 'x' } or
+   * { $remove: ['a', 'b'] } to the column's element type.
+   * @param {Object} update - Array update operators and their operands
+   * @param {Object} column - Array column metadata
+   * @returns {Object} The update with coerced operands
+   */
+  coerceArrayUpdate(update, column) {
+    const coerced = {};
+
+    for (const [operator, operand] of Object.entries(update)) {
+      coerced[operator] = Array.isArray(operand)
+        ? this.coerce(operand, column)
+        : this.coerce([operand], column)[0];
+    }
+    return coerced;
+  }
+
+  toArray(value, element) {
+    if (!Array.isArray(value)) {
+      throw new Error('must be an array');
+    }
+
+    return value.map((item, index) => {
+      if (item === null || item === undefined) {
+        return null;
+      }
+      // Nested arrays are the rows of a multidimensional array
+      if (Array.isArray(item)) {
+        return this.toArray(item, element);
+      }
+      try {
+        return this.coerce(item, element);
+      } catch (error) {
+        throw new Error(`element ${index} ${error.message}`);
+      }
+    });
+  }
+
+  toInteger(value, type) {
+    const [min, max] = INTEGER_RANGES[type];
+    let integer;
+
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      integer = value;
+    } else if (typeof value === 'bigint') {
+      integer = value;
+    } else if (typeof value === 'string' && /^[+-]?\d+$/.test(value.trim())) {
+      integer = type === 'int8' ? BigInt(value.trim()) : Number(value.trim());
+    } else {
+      throw new Error('must be an integer');
+    }
+
+    const big = BigInt(integer);
+    if (big < BigInt(min) || big > BigInt(max)) {
+      throw new Error(`is out of range for type ${type}`);
+    }
+
+    // int8 beyond Number's safe range travels as a string to keep its precision
+    if (type === 'int8') {
+      return Number.isSafeInteger(Number(big)) ? Number(big) : big.toString();
+    }
+    return Number(integer);
+  }
+
+  toNumeric(value, precision, scale) {
+    let text;
+
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      text = String(value);
+    } else if (typeof value === 'bigint') {
+      text = value.toString();
+    } else if (typeof value === 'string' && NUMERIC_PATTERN.test(value.trim())) {
+      text = value.trim();
+    } else {
+      throw new Error('must be a number');
+    }
+
+    if (precision !== null && precision !== undefined && !/[eE]/.test(text)) {
+      const integerDigits = text.replace(/^[+-]/, '').split('.')[0].replace(/^0+/, '').length;
+      if (integerDigits > precision - (scale || 0)) {
+        throw new Error(`exceeds numeric(${precision}, ${scale || 0})`);
+      }
+    }
+    return text;
+  }
+
+  toFloat(value) {
+    const number = typeof value === 'string' && NUMERIC_PATTERN.test(value.trim()) ? Number(value) : value;
+
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      throw new Error('must be a number');
+    }
+    return number;
+  }
+
+  toBoolean(value) {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+
+    const key = String(value).trim().toLowerCase();
+    if ((typeof value === 'string' || typeof value === 'number') && key in BOOLEAN_STRINGS) {
+      return BOOLEAN_STRINGS[key];
+    }
+    throw new Error('must be a boolean');
+  }
+
+  toTimestamp(value) {
+    if (value instanceof Date) {
+      if (Number.isNaN(value.getTime())) {
+        throw new Error('must be a valid date');
+      }
+      return value;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return new Date(value);
+    }
+    // Strings keep their own precision and time zone; PostgreSQL parses them
+    if (typeof value === 'string' && (['infinity', '-infinity'].includes(value.trim()) || !Number.isNaN(Date.parse(value)))) {
+      return value;
+    }
+    throw new Error('must be a valid date');
+  }
+
+  toUuid(value) {
+    if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+      throw new Error('must be a UUID');
+    }
+    // PostgreSQL returns uuids in lower case; matching returned rows relies on the same form
+    return value.toLowerCase();
+  }
+
+  toEnum(value, enumValues) {
+    if (!enumValues.includes(value)) {
+      throw new Error(`must be one of: ${enumValues.join(', ')}`);
+    }
+    return value;
+  }
+
+  toJson(value) {
+    // Strings are taken as JSON text; anything else is serialized here because
+    // pg would turn a JS array into a PostgreSQL array literal
+    if (typeof value === 'string') {
+      try {
+        JSON.parse(value);
+      } catch {
+        throw new Error('must be valid JSON');
+      }
+      return value;
+    }
+
+    let json;
+    try {
+      json = JSON.stringify(value);
+    } catch {
+      json = undefined;
+    }
+    if (json === undefined) {
+      throw new Error('must be JSON-serializable');
+    }
+    return json;
+  }
+
+  toText(value, maxLength) {
+    let text = value;
+
+    if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean') {
+      text = String(value);
+    } else if (typeof value !== 'string') {
+      throw new Error('must be a string');
+    }
+
+    if (maxLength && text.length > maxLength) {
+      throw new Error(`must be at most ${maxLength} characters`);
+    }
+    return text;
+  }
+
+}
+
+module.exports = TypeUtility;